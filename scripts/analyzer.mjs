@@ -0,0 +1,431 @@
+import Room from "./room.mjs";
+
+/**
+ * A difference between the declared edge of a room and the edge which is inferred from its walls.
+ * @typedef {Object} EdgeMismatch
+ * @property {string} side            The side of the room, one of Room.DIRECTIONS
+ * @property {number} index           The index of the edge along its side
+ * @property {EdgeData} declared      The edge which is declared by the room configuration
+ * @property {EdgeData} inferred      The edge which is inferred from the walls of the room
+ */
+
+/**
+ * Infer the edges of a room from the wall segments which meet or run along its boundary.
+ *
+ * The boundary of the room is walked clockwise as a ring of edge cells. A wall which runs along the boundary closes the
+ * cells it covers, while a wall which meets the boundary marks a point where the boundary passes between open floor and
+ * closed rock. Doors are treated as floor, so a cell is open if it can be reached from a door without crossing a wall.
+ * Where a room has no doors, a run of cells next to a boundary wall continues the floor or rock behind that wall, and
+ * otherwise the smaller set of cells between the walls is assumed to be the opening. Openings are widened or narrowed to
+ * whole corner and center sections of each side.
+ *
+ * @param {Room} room     The Room to analyze
+ */
+export default class RoomAnalyzer {
+  constructor(room) {
+    this.room = room;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The number of edges along each side of the room
+   * @type {number}
+   */
+  get size() {
+    return this.room.size;
+  }
+
+  /**
+   * The number of edge cells around the whole boundary of the room
+   * @type {number}
+   */
+  get perimeter() {
+    return this.size * 4;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Infer the open and closed edges of the room from its walls.
+   * Openings span whole corner or center sections of a side, so each section is open if most of its cells are open.
+   * An inferred open edge keeps the type it is declared with, or otherwise takes the type of another open edge of the
+   * room, or the first edge type of the Tileset.
+   * @returns {EdgeConstraints}     The inferred edges of the room
+   */
+  inferEdges() {
+    const open = this._inferBoundary();
+    const declared = this.room.data.edges;
+    const fallback = Object.values(declared).flat().find(e => e?.type)?.type
+      ?? this.room.tileset?.connections?.keys().next().value ?? "hallway";
+    const c = this.room.cornerSize;
+    const sections = [[0, c], [c, this.size - c], [this.size - c, this.size]];
+    const edges = {};
+    for ( let d of Room.DIRECTIONS ) {
+      edges[d] = new Array(this.size).fill(false);
+      for ( let [i0, i1] of sections ) {
+        const cells = Array.from({length: i1 - i0}, (_, i) => open[this._getBoundaryIndex(d, i0 + i)]);
+        if ( cells.filter(o => o).length * 2 <= cells.length ) continue;
+        for ( let i = i0; i < i1; i++ ) edges[d][i] = {type: declared[d]?.[i]?.type ?? fallback};
+      }
+    }
+    return edges;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Compare the declared edges of the room with the edges which are inferred from its walls
+   * @returns {EdgeMismatch[]}      Every edge whose declared state of open or closed differs from its inferred state
+   */
+  getMismatches() {
+    const inferred = this.inferEdges();
+    const mismatches = [];
+    for ( let d of Room.DIRECTIONS ) {
+      for ( let [i, e] of inferred[d].entries() ) {
+        const declared = this.room.data.edges[d]?.[i] ?? false;
+        if ( !!declared !== !!e ) mismatches.push({side: d, index: i, declared, inferred: e});
+      }
+    }
+    return mismatches;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Compare the declared and inferred edges of every room in a Tileset
+   * @param {Tileset} tileset       The Tileset to check
+   * @returns {Map<string, EdgeMismatch[]>}   The mismatches of each room which has any, keyed by room name
+   */
+  static checkTileset(tileset) {
+    const results = new Map();
+    for ( let room of tileset.rooms ) {
+      const mismatches = new RoomAnalyzer(room).getMismatches();
+      if ( mismatches.length ) results.set(room.name, mismatches);
+    }
+    return results;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find the grid squares of floor within the room, which can be reached from an open edge of the room without crossing
+   * a wall, and which are not covered by any wall. Doors may be passed through, but a square which a door crosses is
+   * not part of the floor.
+   * @returns {Array<[number, number]>}   The column and row of each floor square
+   */
+  getFloorSquares() {
+    const n = this.size;
+    const g = this.room.gridSize;
+    const walls = this.room.data.walls;
+
+    // Squares which a wall passes through cannot be occupied
+    const isCovered = (i, j) => {
+      const [x0, y0, x1, y1] = [(i * g) + 1, (j * g) + 1, ((i + 1) * g) - 1, ((j + 1) * g) - 1];
+      return walls.some(w => RoomAnalyzer._intersects([x0, y0], [x1, y1], w.c)
+        || RoomAnalyzer._intersects([x1, y0], [x0, y1], w.c));
+    };
+
+    // Begin from the squares inside each open edge
+    const starts = [];
+    for ( let [i, e] of this.room.data.edges.n.entries() ) if ( e ) starts.push([i, 0]);
+    for ( let [i, e] of this.room.data.edges.e.entries() ) if ( e ) starts.push([n - 1, i]);
+    for ( let [i, e] of this.room.data.edges.s.entries() ) if ( e ) starts.push([i, n - 1]);
+    for ( let [i, e] of this.room.data.edges.w.entries() ) if ( e ) starts.push([0, i]);
+    return this._flood(starts).filter(([i, j]) => !isCovered(i, j));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find the grid squares which can be reached from any of a set of squares without crossing a wall.
+   * Doors may be passed through.
+   * @param {Array<[number, number]>} starts    The column and row of each square to begin from
+   * @returns {Array<[number, number]>}         The column and row of each reached square, in the order reached
+   * @private
+   */
+  _flood(starts) {
+    const n = this.size;
+    const g = this.room.gridSize;
+    const barriers = this.room.data.walls.filter(w => !w.door);
+    const center = (i, j) => [(i + 0.5) * g, (j + 0.5) * g];
+    const queue = [];
+    const visited = new Set();
+    const visit = (i, j) => {
+      const key = (j * n) + i;
+      if ( visited.has(key) ) return;
+      visited.add(key);
+      queue.push([i, j]);
+    };
+    for ( let [i, j] of starts ) visit(i, j);
+
+    // Spread to neighboring squares which are not separated by a wall
+    const squares = [];
+    while ( queue.length ) {
+      const [i, j] = queue.shift();
+      squares.push([i, j]);
+      for ( let [di, dj] of [[0, -1], [1, 0], [0, 1], [-1, 0]] ) {
+        const [ni, nj] = [i + di, j + dj];
+        if ( (ni < 0) || (nj < 0) || (ni >= n) || (nj >= n) ) continue;
+        const a = center(i, j);
+        const b = center(ni, nj);
+        if ( barriers.some(w => RoomAnalyzer._intersects(a, b, w.c, true)) ) continue;
+        visit(ni, nj);
+      }
+    }
+    return squares;
+  }
+
+  /* -------------------------------------------- */
+  /*  Boundary Analysis                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Get the clockwise index of an edge cell around the boundary, starting from the north west corner.
+   * Edges of the north and south sides are ordered from west to east, and edges of the east and west sides from north to
+   * south, so the south and west sides are reversed when walking clockwise.
+   * @param {string} side           The side of the room
+   * @param {number} index          The index of the edge along its side
+   * @returns {number}
+   * @private
+   */
+  _getBoundaryIndex(side, index) {
+    const n = this.size;
+    switch ( side ) {
+      case "n": return index;
+      case "e": return n + index;
+      case "s": return (3 * n) - 1 - index;
+      case "w": return (4 * n) - 1 - index;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the clockwise distance of a boundary point from the north west corner, measured in grid spaces
+   * @param {number} x              The x-coordinate of the point
+   * @param {number} y              The y-coordinate of the point
+   * @returns {number|null}         The distance, or null if the point does not lie on the boundary
+   * @private
+   */
+  _getBoundaryOffset(x, y) {
+    const g = this.room.gridSize;
+    const s = this.room.pixelSize;
+    const n = this.size;
+    if ( y === 0 ) return x / g;
+    if ( x === s ) return n + (y / g);
+    if ( y === s ) return (2 * n) + ((s - x) / g);
+    if ( x === 0 ) return (3 * n) + ((s - y) / g);
+    return null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the side of the boundary which a wall segment runs along, if any
+   * @param {number[]} c            The coordinates of the wall
+   * @returns {string|null}
+   * @private
+   */
+  _getBoundarySide([x0, y0, x1, y1]) {
+    const s = this.room.pixelSize;
+    if ( (x0 === x1) && (x0 === 0) ) return "w";
+    if ( (x0 === x1) && (x0 === s) ) return "e";
+    if ( (y0 === y1) && (y0 === 0) ) return "n";
+    if ( (y0 === y1) && (y0 === s) ) return "s";
+    return null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get a point just inside the room at the midpoint of a boundary cell
+   * @param {number} k              The clockwise index of the boundary cell
+   * @returns {number[]}
+   * @private
+   */
+  _getCellPoint(k) {
+    const n = this.size;
+    const s = this.room.pixelSize;
+    const c = ((k % n) + 0.5) * this.room.gridSize;
+    switch ( Math.floor(k / n) ) {
+      case 0: return [c, 1];
+      case 1: return [s - 1, c];
+      case 2: return [s - c, s - 1];
+      case 3: return [1, s - c];
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the grid square just inside a boundary cell
+   * @param {number} k              The clockwise index of the boundary cell
+   * @returns {[number, number]}    The column and row of the square
+   * @private
+   */
+  _getBoundarySquare(k) {
+    const n = this.size;
+    const m = k % n;
+    switch ( Math.floor(k / n) ) {
+      case 0: return [m, 0];
+      case 1: return [n - 1, m];
+      case 2: return [n - 1 - m, n - 1];
+      case 3: return [0, n - 1 - m];
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Test whether the floor behind a boundary cell is closed off by walls, so that no uncovered boundary cell can be
+   * reached from it. Such a space is solid rock which has been outlined by walls, rather than floor.
+   * @param {number} k              The clockwise index of the boundary cell
+   * @param {boolean[]} covered     Whether each boundary cell is covered by a wall
+   * @returns {boolean}
+   * @private
+   */
+  _isEnclosed(k, covered) {
+    const n = this.size;
+    const squares = this._flood([this._getBoundarySquare(k)]);
+    const cells = new Set(squares.map(([i, j]) => (j * n) + i));
+    for ( let c = 0; c < this.perimeter; c++ ) {
+      const [i, j] = this._getBoundarySquare(c);
+      if ( !covered[c] && cells.has((j * n) + i) ) return false;
+    }
+    return true;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Infer which cells of the boundary are open, walking the boundary clockwise
+   * @returns {boolean[]}           Whether each boundary cell is open, indexed clockwise
+   * @private
+   */
+  _inferBoundary() {
+    const p = this.perimeter;
+    const walls = this.room.data.walls.filter(w => !w.door);
+    const doors = this.room.data.walls.filter(w => w.door).map(w => [(w.c[0] + w.c[2]) / 2, (w.c[1] + w.c[3]) / 2]);
+
+    // Walls along the boundary cover cells, while walls which meet the boundary break it
+    const covered = new Array(p).fill(false);
+    const breaks = new Set();
+    for ( let w of walls ) {
+      const [x0, y0, x1, y1] = w.c;
+      const a = this._getBoundaryOffset(x0, y0);
+      const b = this._getBoundaryOffset(x1, y1);
+      if ( this._getBoundarySide(w.c) ) {
+        let [t0, t1] = [a, b].sort((i, j) => i - j);
+        if ( (t0 === 0) && (t1 > p / 2) ) [t0, t1] = [t1, p]; // Wraps around the north west corner
+        for ( let k = Math.floor(t0); k < Math.ceil(t1); k++ ) covered[k % p] = true;
+        continue;
+      }
+      for ( let t of [a, b] ) {
+        if ( t !== null ) breaks.add(Math.round(t) % p);
+      }
+    }
+
+    // Divide the uncovered cells into runs, alternating between two states at each break
+    const runs = [];
+    const start = covered.includes(true) ? (covered.findIndex((c, k) => c && !covered[(k + 1) % p]) + 1) : 0;
+    let run = null;
+    for ( let i = 0; i < p; i++ ) {
+      const k = (start + i) % p;
+      if ( covered[k] ) {
+        run = null;
+        continue;
+      }
+      if ( !run ) {
+        run = {cells: [k], states: [0]};
+        runs.push(run);
+        continue;
+      }
+      const prior = run.states[run.states.length - 1];
+      run.cells.push(k);
+      run.states.push(breaks.has(k) ? 1 - prior : prior);
+    }
+
+    // Decide which state of each run is open
+    const open = new Array(p).fill(false);
+    for ( let r of runs ) {
+      const state = doors.length ? this._getDoorState(r, doors, walls) : this._getEnclosedState(r, covered, breaks);
+      for ( let [i, k] of r.cells.entries() ) open[k] = r.states[i] === state;
+    }
+    return open;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Decide the open state of a run of boundary cells by testing which cells can be reached from a door of the room
+   * without crossing any wall
+   * @param {{cells: number[], states: number[]}} run     The run of boundary cells
+   * @param {number[][]} doors      The midpoints of each door
+   * @param {WallData[]} walls      The walls of the room which are not doors
+   * @returns {number}              The state which is open
+   * @private
+   */
+  _getDoorState(run, doors, walls) {
+    let votes = 0;
+    for ( let [i, k] of run.cells.entries() ) {
+      const point = this._getCellPoint(k);
+      for ( let door of doors ) {
+        const crossings = walls.filter(w => RoomAnalyzer._intersects(door, point, w.c)).length;
+        const reached = crossings % 2 === 0;
+        votes += (reached === (run.states[i] === 0)) ? 1 : -1;
+      }
+    }
+    return votes >= 0 ? 0 : 1;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Decide the open state of a run of boundary cells in a room without doors.
+   * A run which adjoins a wall along the boundary continues the space behind that wall, unless another wall meets the
+   * boundary where they join, in which case the run begins on the other side of that wall. The space behind a wall along
+   * the boundary is floor, unless walls close it off as solid rock. Otherwise the state which has fewer cells is taken
+   * to be the opening.
+   * @param {{cells: number[], states: number[]}} run     The run of boundary cells
+   * @param {boolean[]} covered     Whether each boundary cell is covered by a wall
+   * @param {Set<number>} breaks    The boundary vertices where a wall meets the boundary
+   * @returns {number}              The state which is open
+   * @private
+   */
+  _getEnclosedState(run, covered, breaks) {
+    const p = this.perimeter;
+    const first = run.cells[0];
+    const end = (run.cells[run.cells.length - 1] + 1) % p;
+    const adjoin = (k, vertex, state) => {
+      const floor = !this._isEnclosed(k, covered);
+      return floor !== breaks.has(vertex) ? state : 1 - state;
+    };
+    if ( covered[(first + p - 1) % p] ) return adjoin((first + p - 1) % p, first, run.states[0]);
+    if ( covered[end] ) return adjoin(end, end, run.states[run.states.length - 1]);
+    const ones = run.states.filter(s => s === 1).length;
+    return (run.states.length - ones) <= ones ? 0 : 1;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Test whether the segment between two points crosses a wall
+   * @param {number[]} a            The first point of the segment
+   * @param {number[]} b            The second point of the segment
+   * @param {number[]} c            The coordinates of the wall
+   * @param {boolean} [touch=false] Also count a segment which only touches the wall, without being collinear with it
+   * @returns {boolean}
+   * @private
+   */
+  static _intersects(a, b, [x0, y0, x1, y1], touch=false) {
+    const orient = (p, q, r) => Math.sign(((q[0] - p[0]) * (r[1] - p[1])) - ((q[1] - p[1]) * (r[0] - p[0])));
+    const c = [x0, y0];
+    const d = [x1, y1];
+    const ab = orient(a, b, c) * orient(a, b, d);
+    const cd = orient(c, d, a) * orient(c, d, b);
+    if ( !touch ) return (ab < 0) && (cd < 0);
+    const collinear = !orient(a, b, c) && !orient(a, b, d);
+    return !collinear && (ab <= 0) && (cd <= 0);
+  }
+}
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * A command line interface which generates a dungeon outside of Foundry VTT using plain Node.js.
+ * The tileset manifest is loaded from disk and the generated Scene configuration is written as JSON. With --levels, an
+ * array of the configuration of each level is written instead.
+ * With --analyze, the declared edges of every room are instead checked against the edges inferred from its walls.
+ * With --validate, every room configuration is instead checked and a validation report is written as JSON.
+ * With --build-manifest, the rooms of the tileset manifest are instead rebuilt from the room configuration files in the
+ * config folder of the tileset.
+ *
+ * Usage:
+ *   node scripts/cli.mjs [options]
+ *
+ * Options:
+ *   --tileset <name|folder>   A tileset name within the tilesets folder of this module, or the path of a tileset folder
+ *   --path <data path>        The Foundry VTT data path of the tileset, used for tile images in the output
+ *   --size <size>             A preset size (small, medium, large), or custom when --width and --height are given
+ *   --width <rooms>           The number of room columns
+ *   --height <rooms>          The number of room rows
+ *   --seed <seed>             A seed which reproduces a prior layout
+ *   --entrances <number>      The number of entrances on the outer boundary
+ *   --levels <number>         The number of levels, connected by rooms with stairs
+ *   --strategy <strategy>     The placement strategy, either propagate or backtrack
+ *   --doors                   Place doors across the openings which connect adjacent rooms
+ *   --locked <chance>         The chance between 0 and 1 that each placed door is locked
+ *   --secret <chance>         The chance between 0 and 1 that each placed door is a secret door
+ *   --seal <method>           The method used to seal openings which lead nowhere, either walls or caps
+ *   --out <file>              Write the configuration to a file instead of stdout
+ *   --analyze                 Report every room whose declared edges do not match its walls, and exit with an error
+ *   --validate                Write a validation report of every room, and exit with an error if any room is invalid
+ *   --build-manifest          Rebuild the rooms of the tileset manifest from the room configuration files
+ *   --help                    Display this usage information
+ */
+import fs from "fs";
+import path from "path";
+import {fileURLToPath} from "url";
+import {parseArgs} from "util";
+import Tileset from "./tileset.mjs";
+import Generator from "./generator.mjs";
+import LevelGenerator from "./levels.mjs";
+import RoomAnalyzer from "./analyzer.mjs";
+import TilesetValidator from "./validator.mjs";
+
+const MODULE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const OPTIONS = {
+  tileset: {type: "string", default: "dungeon"},
+  path: {type: "string"},
+  size: {type: "string", default: "small"},
+  width: {type: "string"},
+  height: {type: "string"},
+  seed: {type: "string"},
+  entrances: {type: "string", default: "1"},
+  levels: {type: "string", default: "1"},
+  strategy: {type: "string", default: "propagate"},
+  doors: {type: "boolean", default: false},
+  locked: {type: "string", default: "0"},
+  secret: {type: "string", default: "0"},
+  seal: {type: "string", default: "walls"},
+  out: {type: "string"},
+  analyze: {type: "boolean", default: false},
+  validate: {type: "boolean", default: false},
+  "build-manifest": {type: "boolean", default: false},
+  help: {type: "boolean", default: false}
+};
+
+/* -------------------------------------------- */
+
+/**
+ * Get the folder on disk which contains a tileset
+ * @param {string} tileset        A tileset name within this module, or the path of a tileset folder
+ * @returns {string}
+ */
+export function getTilesetFolder(tileset) {
+  const isName = !tileset.includes("/") && !tileset.includes(path.sep);
+  return isName ? path.join(MODULE_ROOT, "tilesets", tileset) : path.resolve(tileset);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Load a Tileset from a folder on disk which contains a tileset manifest
+ * @param {string} tileset        A tileset name within this module, or the path of a tileset folder
+ * @param {string} [dataPath]     The Foundry VTT data path of the tileset
+ * @returns {Tileset}
+ */
+export function loadTileset(tileset, dataPath) {
+  const folder = getTilesetFolder(tileset);
+  const file = path.join(folder, Tileset.MANIFEST_FILE);
+  if ( !fs.existsSync(file) ) throw new Error(`No tileset manifest exists at ${file}`);
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  manifest.name ??= path.basename(folder);
+  const options = {};
+  if ( dataPath ) options.path = dataPath;
+  return Tileset.fromManifest(manifest, options);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Describe the rooms of a Tileset whose declared edges do not match the edges which are inferred from their walls
+ * @param {Tileset} tileset                       The checked Tileset
+ * @param {Map<string, EdgeMismatch[]>} results   The mismatches of each room, as returned by RoomAnalyzer.checkTileset
+ * @returns {string}                              A report of every mismatched edge, grouped by room
+ */
+export function formatAnalysis(tileset, results) {
+  const label = e => e ? `open (${e.type})` : "closed";
+  const lines = [];
+  for ( let [name, mismatches] of results ) {
+    lines.push(`${name}: ${mismatches.length} mismatched edges`);
+    for ( let m of mismatches ) {
+      lines.push(`  ${m.side}[${m.index}] is declared ${label(m.declared)} but its walls suggest ${label(m.inferred)}`);
+    }
+  }
+  lines.push(`${results.size} of ${tileset.rooms.length} rooms have edges which do not match their walls`);
+  return lines.join("\n");
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Read every room configuration file in the config folder of a tileset on disk, in the order of their names
+ * @param {string} folder         The folder on disk which contains the tileset
+ * @returns {RoomData[]}
+ */
+export function readRoomConfigs(folder) {
+  const configFolder = path.join(folder, Tileset.CONFIG_FOLDER);
+  const files = fs.readdirSync(configFolder).filter(f => f.endsWith(".json"));
+  const rooms = files.map(f => JSON.parse(fs.readFileSync(path.join(configFolder, f), "utf8")));
+  return rooms.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Rebuild the rooms of the manifest of a tileset on disk from its room configuration files
+ * @param {string} folder         The folder on disk which contains the tileset
+ * @returns {TilesetManifest}     The rebuilt manifest, which has been written to disk
+ */
+export function buildManifest(folder) {
+  const file = path.join(folder, Tileset.MANIFEST_FILE);
+  const manifest = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {name: path.basename(folder)};
+  manifest.rooms = readRoomConfigs(folder);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Validate every room of a tileset on disk, reading room images from the tiles folder of the tileset and comparing the
+ * manifest to the room configuration files in its config folder
+ * @param {Tileset} tileset       The loaded Tileset
+ * @param {string} folder         The folder on disk which contains the tileset
+ * @returns {Promise<ValidationReport>}
+ */
+export function validate(tileset, folder) {
+  const validator = new TilesetValidator(tileset, {
+    loadImage: async p => fs.promises.readFile(path.join(folder, path.relative(tileset.path, p))),
+    loadConfigs: async () => readRoomConfigs(folder)
+  });
+  return validator.validate();
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Generate a dungeon configuration from command line arguments
+ * @param {string[]} args         The command line arguments
+ * @returns {Promise<string|null>}  The generated configuration or report, or null if usage was requested
+ */
+export async function run(args) {
+  const {values} = parseArgs({args, options: OPTIONS});
+  if ( values.help ) {
+    const source = fs.readFileSync(fileURLToPath(import.meta.url), "utf8");
+    const usage = source.match(/\/\*\*\n([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, "");
+    process.stdout.write(usage);
+    return null;
+  }
+
+  // Rebuild the manifest, or check the rooms of the tileset, instead of generating
+  if ( values["build-manifest"] ) {
+    const manifest = buildManifest(getTilesetFolder(values.tileset));
+    const report = `Built the manifest of Tileset ${manifest.name} from ${manifest.rooms.length} rooms`;
+    process.stdout.write(report + "\n");
+    return report;
+  }
+  const tileset = loadTileset(values.tileset, values.path);
+  if ( values.analyze ) {
+    const results = RoomAnalyzer.checkTileset(tileset);
+    const report = formatAnalysis(tileset, results);
+    process.stdout.write(report + "\n");
+    if ( results.size ) process.exitCode = 1;
+    return report;
+  }
+  if ( values.validate ) {
+    const result = await validate(tileset, getTilesetFolder(values.tileset));
+    const report = JSON.stringify(result, null, 2);
+    if ( values.out ) fs.writeFileSync(values.out, report + "\n");
+    else process.stdout.write(report + "\n");
+    if ( !result.valid ) process.exitCode = 1;
+    return report;
+  }
+
+  // Generate the configuration, or the configuration of each level
+  const levels = Number(values.levels);
+  const generator = levels > 1 ? new LevelGenerator(tileset) : new Generator(tileset);
+  const isCustom = (values.width !== undefined) || (values.height !== undefined);
+  const configuration = generator.generate({
+    size: isCustom ? "custom" : values.size,
+    width: values.width,
+    height: values.height,
+    seed: values.seed,
+    entrances: Number(values.entrances),
+    strategy: values.strategy,
+    doors: values.doors,
+    lockedDoors: Number(values.locked),
+    secretDoors: Number(values.secret),
+    seal: values.seal,
+    levels: levels
+  });
+  const json = JSON.stringify(configuration, null, 2);
+
+  // Write the output
+  if ( values.out ) fs.writeFileSync(values.out, json + "\n");
+  else process.stdout.write(json + "\n");
+  return json;
+}
+
+/* -------------------------------------------- */
+
+if ( process.argv[1] && (path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) ) {
+  run(process.argv.slice(2)).catch(err => {
+    process.stderr.write(`${err.message}\n`);
+    process.exitCode = 1;
+  });
+}
@@ -2,6 +2,11 @@
 import constants from "./constants.mjs";
 import Tileset from "./tileset.mjs"
 import Generator from "./generator.mjs";
+import LevelGenerator from "./levels.mjs";
+import SceneBuilder from "./scene-builder.mjs";
+import EncounterPopulator from "./populator.mjs";
+import DungeonJournal from "./journal.mjs";
+import DungeonStairs from "./stairs.mjs";
 
 export default class DungeonTilesetsConfig extends FormApplication {
     static get defaultOptions() {
@@ -10,12 +15,422 @@ export default class DungeonTilesetsConfig extends FormApplication {
             template: constants.modulePath + '/templates/generator-config.html',
             classes: ["sheet"],
             width: 500,
-            height: 200,
+            height: "auto",
             closeOnSubmit: false,
             submitOnClose: false
         });
     }
 
+    /**
+     * The options used to generate the most recent layout, which are displayed as the defaults for the next one
+     * @type {object}
+     */
+    generatorOptions = {
+        tileset: "dungeon",
+        size: "small",
+        width: Generator.SIZES.small.width,
+        height: Generator.SIZES.small.height,
+        entrances: 1,
+        levels: 1,
+        seed: "",
+        doors: false,
+        lockedDoors: 0,
+        secretDoors: 0,
+        seal: "walls",
+        encounterSource: "",
+        encounterDifficulty: 1,
+        journal: false,
+        journalTable: "",
+        target: "create",
+        sceneName: "",
+        folder: "",
+        offsetX: 0,
+        offsetY: 0
+    };
+
+    /**
+     * The generator which produced every level of the previewed dungeon
+     * @type {LevelGenerator|null}
+     */
+    levelGenerator = null;
+
+    /**
+     * The index of the previewed level
+     * @type {number}
+     */
+    level = 0;
+
+    /**
+     * The generator which produced the previewed level
+     * @type {Generator|null}
+     */
+    generator = null;
+
+    /**
+     * The Scene configuration of the previewed level, which is only applied to the Scene once it is accepted
+     * @type {object|null}
+     */
+    configuration = null;
+
+    /**
+     * The location of the previewed cell which is selected to be re-rolled, as [x, y]
+     * @type {number[]|null}
+     */
+    selected = null;
+
+    /** @override */
+    async getData(options) {
+        const tilesets = (await Tileset.discover()).reduce((obj, t) => {
+            obj[t.name] = t.author ? `${t.title} (${t.author})` : t.title;
+            return obj;
+        }, {});
+        const sizes = Object.keys(Generator.SIZES).reduce((obj, k) => {
+            const {width, height} = Generator.SIZES[k];
+            obj[k] = `${k.titleCase()} (${width}×${height})`;
+            return obj;
+        }, {});
+        sizes.custom = "Custom";
+        const folders = game.folders.filter(f => f.type === "Scene").reduce((obj, f) => {
+            obj[f.id] = f.name;
+            return obj;
+        }, {"": ""});
+        const sources = game.tables.reduce((obj, t) => {
+            obj[t.id] = `${t.name} (Roll Table)`;
+            return obj;
+        }, {"": "No Encounters"});
+        for ( let p of game.packs.filter(p => p.entity === "Actor") ) {
+            sources[p.collection] = `${p.metadata.label} (Compendium)`;
+        }
+        const tables = game.tables.reduce((obj, t) => {
+            obj[t.id] = t.name;
+            return obj;
+        }, {"": "No Flavour Text"});
+        const target = this.generatorOptions.target;
+        const maxLevels = LevelGenerator.getMaxLevels(Tileset.registry.get(this.generatorOptions.tileset));
+        return mergeObject(this.generatorOptions, {
+            tilesets: tilesets,
+            sizes: sizes,
+            isCustom: this.generatorOptions.size === "custom",
+            maxDimension: Generator.MAX_DIMENSION,
+            levels: Math.min(this.generatorOptions.levels, maxLevels),
+            maxLevels: maxLevels,
+            hasLevels: maxLevels > 1,
+            sealMethods: {walls: "Close with Walls", caps: "Place Cap Rooms"},
+            encounterSources: sources,
+            journalTables: tables,
+            targets: SceneBuilder.TARGETS,
+            folders: folders,
+            isCreate: target === "create",
+            isMerge: target === "merge",
+            canRevert: SceneBuilder.canRevert(canvas.scene),
+            preview: this._getPreview()
+        }, {inplace: false});
+    }
+
+    /**
+     * Prepare the previewed layout as a grid of thumbnail cells, ordered row by row
+     * @return {object|null}    The preview data, or null if no layout has been generated
+     * @private
+     */
+    _getPreview() {
+        const generator = this.generator;
+        if ( !generator ) return null;
+        const [sx, sy] = this.selected ?? [];
+        const cells = [];
+        for ( let y = 0; y < generator.rows; y++ ) {
+            for ( let x = 0; x < generator.columns; x++ ) {
+                const d = generator.layout[x][y];
+                const scale = `scale(${d.mirrorX ? -1 : 1}, ${d.mirrorY ? -1 : 1})`;
+                cells.push({
+                    x: x,
+                    y: y,
+                    img: d.img,
+                    name: d.name,
+                    transform: `rotate(${d.rotation}deg) ${scale}`,
+                    selected: (x === sx) && (y === sy)
+                });
+            }
+        }
+        const levels = this.levelGenerator.generators.map((g, i) => `Level ${i + 1}`);
+        return {
+            columns: generator.columns,
+            levels: levels.length > 1 ? Object.assign({}, levels) : null,
+            level: String(this.level),
+            cells: cells,
+            seed: generator.seed,
+            metrics: generator.metrics,
+            hasSelection: !!this.selected
+        };
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('select[name="tileset"]').change(this._onChangeTileset.bind(this));
+        html.find('select[name="size"]').change(this._onChangeSize.bind(this));
+        html.find('select[name="target"]').change(this._onChangeTarget.bind(this));
+        html.find('input[name="doors"]').change(this._onChangeDoors.bind(this));
+        html.find('input[name="journal"]').change(this._onChangeJournal.bind(this));
+        html.find('select[name="previewLevel"]').change(this._onChangeLevel.bind(this));
+        html.find(".preview .cell").click(this._onClickCell.bind(this));
+        html.find('button[data-action="reroll"]').click(this._onReroll.bind(this));
+        html.find('button[data-action="reroll-cell"]').click(this._onRerollCell.bind(this));
+        html.find('button[data-action="accept"]').click(this._onAccept.bind(this));
+        html.find('button[data-action="revert"]').click(this._onRevert.bind(this));
+    }
+
+    /**
+     * Handle changes to the tileset, limiting the number of levels to those which its stairs can connect
+     * @param {Event} event - the change event
+     * @private
+     */
+    _onChangeTileset(event) {
+        const form = event.currentTarget.form;
+        const maxLevels = LevelGenerator.getMaxLevels(Tileset.registry.get(event.currentTarget.value));
+        form.levels.max = maxLevels;
+        form.levels.value = Math.min(Number(form.levels.value) || 1, maxLevels);
+        form.levels.disabled = maxLevels === 1;
+    }
+
+    /**
+     * Enable the custom dimension fields only when a custom dungeon size is chosen
+     * @param {Event} event - the change event
+     * @private
+     */
+    _onChangeSize(event) {
+        const isCustom = event.currentTarget.value === "custom";
+        const form = event.currentTarget.form;
+        form.width.disabled = form.height.disabled = !isCustom;
+    }
+
+    /**
+     * Enable the door chance fields only when doors are placed between rooms
+     * @param {Event} event - the change event
+     * @private
+     */
+    _onChangeDoors(event) {
+        const form = event.currentTarget.form;
+        form.lockedDoors.disabled = form.secretDoors.disabled = !event.currentTarget.checked;
+    }
+
+    /**
+     * Enable the flavour table field only when journal entries are written for each room
+     * @param {Event} event - the change event
+     * @private
+     */
+    _onChangeJournal(event) {
+        event.currentTarget.form.journalTable.disabled = !event.currentTarget.checked;
+    }
+
+    /**
+     * Enable only the scene fields which apply to the chosen target scene
+     * @param {Event} event - the change event
+     * @private
+     */
+    _onChangeTarget(event) {
+        const target = event.currentTarget.value;
+        const form = event.currentTarget.form;
+        form.sceneName.disabled = form.folder.disabled = target !== "create";
+        form.offsetX.disabled = form.offsetY.disabled = target !== "merge";
+    }
+
+    /**
+     * Preview a different level of the generated dungeon
+     * @param {Event} event - the change event
+     * @private
+     */
+    _onChangeLevel(event) {
+        this.level = Number(event.currentTarget.value);
+        this.generator = this.levelGenerator.generators[this.level];
+        this.configuration = this.levelGenerator.configurations[this.level];
+        this.selected = null;
+        this.render();
+    }
+
+    /**
+     * Select a previewed cell to be re-rolled, or clear the selection if it was already selected
+     * @param {MouseEvent} event - the click event
+     * @private
+     */
+    _onClickCell(event) {
+        const {x, y} = event.currentTarget.dataset;
+        const [sx, sy] = this.selected ?? [];
+        this.selected = (Number(x) === sx) && (Number(y) === sy) ? null : [Number(x), Number(y)];
+        this.render();
+    }
+
+    /**
+     * Generate a new preview with the current form options and a new random seed
+     * @param {MouseEvent} event - the click event
+     * @private
+     */
+    _onReroll(event) {
+        event.preventDefault();
+        const data = new FormDataExtended(this.form).toObject();
+        data.seed = "";
+        this._generate(data);
+        this.render();
+    }
+
+    /**
+     * Replace the room of the selected cell with a different room which fits its neighbors
+     * @param {MouseEvent} event - the click event
+     * @private
+     */
+    _onRerollCell(event) {
+        event.preventDefault();
+        if ( !this.generator || !this.selected ) return;
+        const configuration = this.levelGenerator.rerollCell(this.level, ...this.selected);
+        if ( !configuration ) return ui.notifications.warn("No other room fits the selected location.");
+        this.configuration = configuration;
+        this.render();
+    }
+
+    /**
+     * Apply the previewed layout to the chosen target scene.
+     * A dungeon of several levels creates a new Scene for each level, whose stairs are then linked to each other.
+     * @param {MouseEvent} event - the click event
+     * @private
+     */
+    async _onAccept(event) {
+        event.preventDefault();
+        if ( !this.levelGenerator ) return;
+        const data = new FormDataExtended(this.form).toObject();
+        const {generators, configurations} = this.levelGenerator;
+        const isMultiLevel = generators.length > 1;
+        if ( isMultiLevel && (data.target !== "create") ) {
+            return ui.notifications.warn("A dungeon with several levels can only be applied by creating new Scenes.");
+        }
+        const name = data.sceneName || `Dungeon ${this.levelGenerator.seed}`;
+        const scenes = [];
+        const populators = [];
+        const journals = [];
+        try {
+            for ( let [i, generator] of generators.entries() ) {
+                let configuration = configurations[i];
+                const sceneName = isMultiLevel ? `${name}: Level ${i + 1}` : data.sceneName;
+                if ( data.encounterSource ) {
+                    const populator = new EncounterPopulator(generator, {
+                        source: data.encounterSource,
+                        difficulty: data.encounterDifficulty
+                    });
+                    populators.push(populator);
+                    configuration = await populator.populate(configuration);
+                }
+                if ( data.journal ) {
+                    const journal = new DungeonJournal(generator, {
+                        name: data.target === "create" ? sceneName : canvas.scene?.name,
+                        table: data.journalTable
+                    });
+                    journals.push(journal);
+                    configuration = await journal.write(configuration);
+                }
+                const builder = new SceneBuilder(configuration);
+                scenes.push(await builder.commit(data.target, {
+                    scene: canvas.scene,
+                    name: sceneName,
+                    folder: data.folder,
+                    x: data.offsetX,
+                    y: data.offsetY
+                }));
+            }
+            if ( isMultiLevel ) await DungeonStairs.link(scenes, {name: `${name}: Stairs`});
+        } catch(err) {
+            ui.notifications.error(err.message);
+
+            // Discard the Scenes and documents which were created before the failure
+            if ( (data.target === "create") && scenes.length ) await Scene.delete(scenes.map(s => s.id));
+            await SceneBuilder.deleteDocuments({
+                actors: populators.flatMap(p => p.importedActors),
+                entries: journals.flatMap(j => j.entries.map(e => e.id)),
+                folders: journals.filter(j => j.folder).map(j => j.folder.id)
+            });
+            throw err;
+        }
+        if ( data.target === "create" ) await scenes[0].view();
+        mergeObject(this.generatorOptions, {
+            encounterSource: data.encounterSource,
+            encounterDifficulty: data.encounterDifficulty,
+            journal: data.journal,
+            journalTable: data.journalTable,
+            target: data.target,
+            sceneName: "",
+            folder: data.folder,
+            offsetX: data.offsetX,
+            offsetY: data.offsetY
+        });
+        this.levelGenerator = this.generator = this.configuration = this.selected = null;
+        this.level = 0;
+        this.render();
+    }
+
+    /**
+     * Restore the contents of the current Scene from before a generated layout was applied to it
+     * @param {MouseEvent} event - the click event
+     * @private
+     */
+    async _onRevert(event) {
+        event.preventDefault();
+        const confirmed = await Dialog.confirm({
+            title: "Revert Generated Layout",
+            content: `<p>Restore the tiles, walls, tokens, lights, sounds and notes which ${canvas.scene.name} had `
+                + "before the last generated layout was applied? Actors imported and journal entries written for the "
+                + "layout are deleted.</p>"
+        });
+        if ( !confirmed ) return;
+        await SceneBuilder.revert(canvas.scene);
+        this.render();
+    }
+
+    /**
+     * Generate a layout to preview from the submitted options
+     * @param {object} data - the form data
+     * @private
+     */
+    _generate(data) {
+        const tileset = Tileset.registry.get(data.tileset);
+        if ( !tileset ) return ui.notifications.error(`The requested tileset ${data.tileset} is not available.`);
+        const levelGenerator = new LevelGenerator(tileset);
+        const options = {
+            size: data.size,
+            seed: data.seed,
+            entrances: data.entrances,
+            levels: data.levels,
+            doors: data.doors,
+            lockedDoors: data.lockedDoors,
+            secretDoors: data.secretDoors,
+            seal: data.seal
+        };
+        if ( data.size === "custom" ) Object.assign(options, { width: data.width, height: data.height });
+        try {
+            levelGenerator.generate(options);
+        } catch(err) {
+            ui.notifications.error(err.message);
+            throw err;
+        }
+        const generator = levelGenerator.generators[0];
+        this.levelGenerator = levelGenerator;
+        this.level = 0;
+        this.generator = generator;
+        this.configuration = levelGenerator.configurations[0];
+        this.selected = null;
+
+        // Display the options which were used, including the seed, so the layout can be reproduced later
+        mergeObject(this.generatorOptions, {
+            tileset: tileset.name,
+            size: data.size,
+            width: generator.columns,
+            height: generator.rows,
+            entrances: generator.entrances.length,
+            levels: levelGenerator.generators.length,
+            seed: generator.seed,
+            doors: generator.doors.enabled,
+            lockedDoors: generator.doors.locked,
+            secretDoors: generator.doors.secret,
+            seal: generator.seal
+        });
+    }
+
     /**
      * Executes on form submission.
      *
@@ -24,12 +439,7 @@ export default class DungeonTilesetsConfig extends FormApplication {
      * @memberof SettingsForm
      */
     async _updateObject(event, data) {
-        console.log(data);
-        const tileset = new Tileset("dungeon");
-        await tileset.initialize();
-        const generator = new Generator(tileset);
-        const configuration = generator.generate({ size: data.size });
-        console.log(configuration);
-        generator.commit(configuration);
+        this._generate(data);
+        this.render();
     }
 }
\ No newline at end of file
@@ -1,7 +1,17 @@
 import Room from "./room.mjs";
 import Tileset from "./tileset.mjs"
 import Generator from "./generator.mjs";
+import LayoutGraph from "./graph.mjs";
+import LayoutSolver from "./solver.mjs";
+import SceneBuilder from "./scene-builder.mjs";
 import DungeonTilesetsConfig from "./config.mjs";
+import RoomEditor from "./room-editor.mjs";
+import RoomAnalyzer from "./analyzer.mjs";
+import TilesetValidator from "./validator.mjs";
+import EncounterPopulator from "./populator.mjs";
+import DungeonJournal from "./journal.mjs";
+import LevelGenerator from "./levels.mjs";
+import DungeonStairs from "./stairs.mjs";
 
 /**
  * Test generation
@@ -11,7 +21,7 @@ async function test() {
   await tileset.initialize();
   const generator = new Generator(tileset);
   const configuration = generator.generate();
-  await generator.commit(configuration);
+  await new SceneBuilder(configuration).replace();
   return generator;
 }
 
@@ -23,9 +33,32 @@ Hooks.on("init", function() {
     Room,
     Tileset,
     Generator,
+    LayoutGraph,
+    LayoutSolver,
+    SceneBuilder,
     DungeonTilesetsConfig,
+    RoomEditor,
+    RoomAnalyzer,
+    TilesetValidator,
+    EncounterPopulator,
+    DungeonJournal,
+    LevelGenerator,
+    DungeonStairs,
+    register: Tileset.register,
     test
   };
+
+  /**
+   * A hook event that fires once the dungeon tilesets API is available, which other modules and worlds may use to register
+   * their own tilesets from any data path.
+   * @function registerDungeonTilesets
+   * @memberof hookEvents
+   * @param {object} api        The API provided at game.tilesets
+   */
+  Hooks.callAll("registerDungeonTilesets", window.game.tilesets);
+
+  // Take the stairs between the levels of generated dungeons when their Notes are activated
+  DungeonStairs.registerNoteHandler();
   console.log("Dungeon Tilesets Initialized");
 });
 
@@ -41,4 +74,11 @@ Hooks.on("getSceneControlButtons", function(controls) {
     button: true,
     onClick: () => new DungeonTilesetsConfig().render(true)
   });
+  tileControls.tools.push({
+    icon: "fas fa-border-style",
+    name: "dungeon-room-editor",
+    title: "Dungeonator Room Editor",
+    button: true,
+    onClick: () => new RoomEditor().render(true)
+  });
 });
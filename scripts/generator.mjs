@@ -1,14 +1,71 @@
 import Room from "./room.mjs";
+import LayoutGraph from "./graph.mjs";
+import LayoutSolver from "./solver.mjs";
+import RandomGenerator from "./random.mjs";
+import constants from "./constants.mjs";
+import {between, clamp, duplicate, isNumeric, range} from "./utils.mjs";
+
+/**
+ * The location of an entrance which opens the outer boundary of a generated layout.
+ * @typedef {Object} EntranceData
+ * @property {number} x             The column of the room which contains the entrance
+ * @property {number} y             The row of the room which contains the entrance
+ * @property {string} direction     The cardinal direction of the outer edge which is opened
+ */
+
+/**
+ * A run of consecutive open edges along one side of a placed room.
+ * @typedef {Object} OpeningData
+ * @property {number} x             The column of the room
+ * @property {number} y             The row of the room
+ * @property {string} direction     The side of the room which contains the opening
+ * @property {number} start         The index of the first edge of the opening
+ * @property {number} end           The index after the last edge of the opening
+ */
+
+/**
+ * A placed room of a generated layout, numbered so that the dungeon can be keyed.
+ * @typedef {Object} KeyedRoomData
+ * @property {number} number        The number of the room, counted from 1 in order of distance from the entrance
+ * @property {string} name          The name of the room in its Tileset
+ * @property {number} x             The column of the room
+ * @property {number} y             The row of the room
+ * @property {{x: number, y: number}} center  The pixel coordinates of the center of the room on the Scene
+ * @property {string[]} exits       The directions in which the room connects to another room
+ * @property {string[]} entrances   The directions in which the room opens the outer boundary as an entrance
+ * @property {string|null} stairs   The kind of stairs which the room contains, if any
+ * @property {string|null} role     The role which the room plays in the dungeon, if any
+ */
+
+/**
+ * A room which was placed to play a role in a generated layout.
+ * @typedef {Object} RoleData
+ * @property {string} role          The role of the room, one of Room.ROLES
+ * @property {string} name          The name of the room in its Tileset
+ * @property {number} x             The column of the room
+ * @property {number} y             The row of the room
+ * @property {number} distance      The number of rooms traversed to reach the room from the entrance
+ */
+
+/**
+ * Stairs which were placed to connect a generated layout to another level of the dungeon.
+ * @typedef {Object} StairsData
+ * @property {string} direction     The kind of stairs, one of Room.STAIRS
+ * @property {number} x             The column of the room which contains the stairs
+ * @property {number} y             The row of the room which contains the stairs
+ * @property {{x: number, y: number}} position  The pixel coordinates of the stairs on the Scene, one grid space north of
+ *                                  the center of the room so that they do not cover the key of the room
+ */
 
 /**
  * A controller to handle the
  * @param {Tileset} tileset
  * @param {object} options
- * @param {number} [options.gridSize=200]
- * @param {number} [options.roomSize=9]
+ * @param {number} [options.gridSize]     The grid size in pixels, by default the grid size of the Tileset
+ * @param {number} [options.roomSize]     The grid spaces along each side of a room, by default that of the Tileset
  */
 export default class Generator {
-  constructor(tileset, {gridSize=200, roomSize=9}={}) {
+  constructor(tileset, {gridSize=tileset.gridSize, roomSize=tileset.roomSize}={}) {
     this.gridSize = gridSize;
     this.roomSize = roomSize;
     this.tileset = tileset;
@@ -21,28 +78,56 @@ export default class Generator {
    */
   static MAX_ALLOWED_ATTEMPTS = 500;
 
-  /* -------------------------------------------- */
+  /**
+   * The maximum number of complete layouts which can be tried before generation is declared a failure
+   * @type {number}
+   */
+  static MAX_LAYOUT_ATTEMPTS = 10;
 
   /**
-   * Get rid of everything and reset back to blank canvas
+   * The strategies which may be used to place rooms.
+   * The "propagate" strategy uses a LayoutSolver which propagates edge constraints between locations.
+   * The "backtrack" strategy places rooms at random and steps backwards one placement at a time when stuck.
+   * @type {string[]}
    */
-  clear() {
-    return canvas.scene.update({
-      tiles: [],
-      walls: []
-    });
-  }
+  static STRATEGIES = ["propagate", "backtrack"];
 
-  /* -------------------------------------------- */
+  /**
+   * The ways in which openings that lead nowhere may be sealed.
+   * The "walls" method closes each unmatched opening with a generated wall segment.
+   * The "caps" method first places a room of the tileset which closes off the opening into each blank location beside
+   * an unmatched opening, then closes any openings which remain with generated wall segments.
+   * @type {string[]}
+   */
+  static SEAL_METHODS = ["walls", "caps"];
 
   /**
-   * Implement a configuration by drawing it to the Canvas scene
-   * @param {object} configuration    The configuration to apply
-   * @return {Promise<Scene>}         The updated Scene
+   * Preset dungeon sizes, measured in number of rooms
+   * @type {Object<string, {width: number, height: number}>}
    */
-  commit(configuration) {
-    return canvas.scene.update(configuration);
-  }
+  static SIZES = {
+    small: {width: 3, height: 3},
+    medium: {width: 5, height: 5},
+    large: {width: 7, height: 7}
+  };
+
+  /**
+   * The largest number of rooms permitted along either dimension of a custom layout
+   * @type {number}
+   */
+  static MAX_DIMENSION = 20;
+
+  /**
+   * The door types of a wall, matching the door types of Foundry VTT walls
+   * @type {{none: number, door: number, secret: number}}
+   */
+  static DOOR_TYPES = {none: 0, door: 1, secret: 2};
+
+  /**
+   * The door states of a wall, matching the door states of Foundry VTT walls
+   * @type {{closed: number, open: number, locked: number}}
+   */
+  static DOOR_STATES = {closed: 0, open: 1, locked: 2};
 
   /* -------------------------------------------- */
 
@@ -58,6 +143,7 @@ export default class Generator {
 
     // Generate room configuration
     this._generate();
+    if ( this.seal === "caps" ) this._placeCaps();
 
     // Export scene data
     return this._export();
@@ -65,26 +151,126 @@ export default class Generator {
 
   /* -------------------------------------------- */
 
+  /**
+   * Replace the room at a single location of a generated layout with a different permutation which satisfies the same
+   * constraints from its neighbors. Since every edge must match the adjacent rooms, the connections of the layout are
+   * unchanged. The replacement draws from the same random sequence, so the seed alone no longer reproduces the layout.
+   * @param {number} x              The target column coordinate
+   * @param {number} y              The target row coordinate
+   * @return {object|null}          The updated configuration, or null if no alternative permutation exists
+   */
+  rerollCell(x, y) {
+    const current = this.layout[x]?.[y];
+    if ( !current ) throw new Error(`There is no generated room at location ${x}.${y}`);
+
+    // Exclude the current room from the counts, since it will be replaced
+    const counts = this.getRoomCounts();
+    if ( current.room ) counts.set(current.room, counts.get(current.room) - 1);
+
+    // Find alternative permutations which satisfy the adjacent constraints
+    const constraints = this._getAdjacentConstraints(x, y);
+    const rooms = this.tileset.findRooms({
+      counts: counts,
+      stairs: current.room?.stairs ?? null,
+      role: current.room?.role ?? null
+    });
+    const key = Room.getPermutationKey(current);
+    const permutations = this._getMatchingPermutations(rooms, constraints).filter(p => {
+      return Room.getPermutationKey(p) !== key;
+    });
+    if ( !permutations.length ) return null;
+
+    // Place the chosen permutation and measure the updated layout
+    this.layout[x][y] = this._choosePermutation(permutations, counts);
+    this.graph = new LayoutGraph(this.layout, this.tileset);
+    this.metrics = this.graph.getMetrics(this._getStartKey());
+    return this._export();
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Configure the generator to produce a layout with requested options
    * @param {object} options
-   * @param {string} [options.size=small]
+   * @param {string} [options.size=small]    A preset size from Generator.SIZES, or "custom"
+   * @param {number} [options.width]          The number of room columns, overriding the size preset
+   * @param {number} [options.height]         The number of room rows, overriding the size preset
    * @param {number} [options.entrances=1]
+   * @param {string|number} [options.seed]    A seed which reproduces a prior layout. A random seed is used if omitted.
+   * @param {string} [options.strategy=propagate]   The strategy used to place rooms, one of Generator.STRATEGIES
+   * @param {boolean} [options.doors=false]   Place doors across the openings which connect adjacent rooms
+   * @param {number} [options.lockedDoors=0]  The chance, between 0 and 1, that each placed door is locked
+   * @param {number} [options.secretDoors=0]  The chance, between 0 and 1, that each placed door is a secret door
+   * @param {string} [options.seal=walls]     The method used to seal openings which lead nowhere, one of
+   *                                          Generator.SEAL_METHODS
+   * @param {string[]} [options.stairs]       The kinds of stairs, from Room.STAIRS, which must be placed to connect the
+   *                                          layout to the other levels of a dungeon
    */
-  _configure({size="small", entrances=1}={}) {
+  _configure({size="small", width, height, entrances=1, seed, strategy="propagate", doors=false, lockedDoors=0,
+               secretDoors=0, seal="walls", stairs=[]}={}) {
+
+    // Seed the random number generator which drives every random choice
+    this.rng = new RandomGenerator(seed);
+    this.seed = this.rng.seed;
+
+    // Determine the placement strategy
+    if ( !Generator.STRATEGIES.includes(strategy) ) throw new Error(`Unknown generation strategy "${strategy}"`);
+    this.strategy = strategy;
+    if ( !Generator.SEAL_METHODS.includes(seal) ) throw new Error(`Unknown seal method "${seal}"`);
+    this.seal = seal;
+
+    // Determine the stairs which must be placed, each of which requires a room of the tileset
+    this.stairs = Object.keys(Room.STAIRS).filter(s => stairs.includes(s));
+    for ( let s of this.stairs ) {
+      if ( !this.tileset.findRooms({stairs: s}).length ) {
+        throw new Error(`Tileset ${this.tileset.name} has no room with ${Room.STAIRS[s].toLowerCase()}`);
+      }
+    }
 
     // Determine the layout size
     this.size = size;
-    this.nRooms = {
-      small: 3,
-      medium: 5,
-      large: 7
-    }[size];
+    const preset = Generator.SIZES[size] ?? Generator.SIZES.small;
+    this.columns = this._getDimension(width, preset.width);
+    this.rows = this._getDimension(height, preset.height);
 
     // Generate the placeholder layout
+    this._reset();
+
+    // Choose the outer boundary edges which are opened as entrances
+    this.entrances = this._chooseEntrances(entrances);
+
+    /**
+     * Options for the doors which are placed across the connections between rooms
+     * @type {{enabled: boolean, locked: number, secret: number}}
+     */
+    this.doors = {
+      enabled: !!doors,
+      locked: clamp(Number(lockedDoors) || 0, 0, 1),
+      secret: clamp(Number(secretDoors) || 0, 0, 1)
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Reset the layout to an empty state, ready for a new attempt at generation
+   * @private
+   */
+  _reset() {
     this.placements = [];
-    const nr = Array.fromRange(this.nRooms);
-    this.layout = nr.map(r => nr.map(i => null));
+    this.layout = range(this.columns).map(x => range(this.rows).map(y => null));
+
+    /**
+     * The graph of connections between placed rooms, available once a layout has been generated
+     * @type {LayoutGraph|null}
+     */
+    this.graph = null;
+
+    /**
+     * Metrics which describe the structure of the generated layout
+     * @type {LayoutMetrics|null}
+     */
+    this.metrics = null;
 
     // Internal progress trackers
     this._attempts = 0;
@@ -93,38 +279,497 @@ export default class Generator {
   /* -------------------------------------------- */
 
   /**
-   * Get the size of the canvas which should be set for a dungeon of a specified size
-   * @param {string} size     The desired dungeon size
-   * @returns {number}        The pixel size in width and height
+   * Validate a requested number of rooms along one dimension of the layout
+   * @param {number|string} [n]     The requested number of rooms
+   * @param {number} fallback       The number of rooms to use if no valid number was requested
+   * @returns {number}              The number of rooms along that dimension
    * @private
    */
-  _getCanvasSize(size) {
-    return this.nRooms * this.roomSize * this.gridSize;
+  _getDimension(n, fallback) {
+    n = parseInt(n);
+    if ( !isNumeric(n) || (n < 1) ) return fallback;
+    return Math.min(n, Generator.MAX_DIMENSION);
   }
 
   /* -------------------------------------------- */
 
   /**
-   * Place tiles until the layout is completed or the maximum allowed attempts are surpassed.
+   * Get the size of the canvas which should be set for the configured dungeon layout
+   * @returns {{width: number, height: number}}     The pixel size in width and height
+   * @private
+   */
+  _getCanvasSize() {
+    const s = this.roomSize * this.gridSize;
+    return {width: this.columns * s, height: this.rows * s};
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Choose locations along the outer boundary of the layout which should be opened as entrances.
+   * Entrances are distributed across different sides of the dungeon and placed as far apart from each other as possible.
+   * @param {number} n                  The requested number of entrances
+   * @returns {EntranceData[]}          The chosen entrance locations
+   * @private
+   */
+  _chooseEntrances(n) {
+    const max = (this.columns + this.rows) * 2;
+    n = clamp(Number(n) || 0, 0, max);
+
+    // Visit sides in a random order so that consecutive entrances are placed on different sides
+    const sides = [...Room.DIRECTIONS];
+    for ( let i = sides.length - 1; i > 0; i-- ) {
+      const j = this.rng.integer(i + 1);
+      [sides[i], sides[j]] = [sides[j], sides[i]];
+    }
+
+    // Place each entrance at the boundary position which is furthest from those already chosen
+    const entrances = [];
+    for ( let i = 0; i < n; i++ ) {
+      const direction = sides[i % 4];
+      const length = ["n", "s"].includes(direction) ? this.columns : this.rows;
+      const candidates = range(length).map(j => {
+        const [x, y] = {n: [j, 0], e: [this.columns-1, j], s: [j, this.rows-1], w: [0, j]}[direction];
+        return {x, y, direction};
+      }).filter(c => !entrances.some(e => (e.x === c.x) && (e.y === c.y) && (e.direction === c.direction)));
+      let best = [];
+      let bestDistance = -1;
+      for ( let c of candidates ) {
+        const p0 = this._getEntranceOrigin(c);
+        const d = entrances.reduce((min, e) => {
+          const p1 = this._getEntranceOrigin(e);
+          return Math.min(min, Math.abs(p1.x - p0.x) + Math.abs(p1.y - p0.y));
+        }, Infinity);
+        if ( d > bestDistance ) {
+          best = [c];
+          bestDistance = d;
+        }
+        else if ( d === bestDistance ) best.push(c);
+      }
+      entrances.push(this.rng.choice(best));
+    }
+    return entrances;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the position of an entrance along the outer boundary, measured in units of rooms.
+   * @param {EntranceData} entrance     The entrance location
+   * @returns {{x: number, y: number}}  The central point of the entrance opening
+   * @private
+   */
+  _getEntranceOrigin({x, y, direction}) {
+    return {
+      n: {x: x + 0.5, y: y},
+      e: {x: x + 1, y: y + 0.5},
+      s: {x: x + 0.5, y: y + 1},
+      w: {x: x, y: y + 0.5}
+    }[direction];
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the entrance, if any, which opens a certain outer edge of a location.
+   * @param {number} x                    The target column coordinate
+   * @param {number} y                    The target row coordinate
+   * @param {string} direction            The cardinal direction of the outer edge
+   * @returns {EntranceData|undefined}    The entrance at that edge
+   */
+  getEntrance(x, y, direction) {
+    return this.entrances.find(e => (e.x === x) && (e.y === y) && (e.direction === direction));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the edge configuration required along an outer boundary edge which is opened as an entrance.
+   * The central third of the edge is opened as a hallway, matching the hallways of the dungeon tileset.
+   * @returns {EdgeData[]}
+   * @private
+   */
+  _getEntranceEdges() {
+    const third = Math.floor(this.roomSize / 3);
+    return range(this.roomSize).map(i => {
+      return between(i, third, this.roomSize - third - 1) ? {type: "hallway"} : false;
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Generate complete layouts until one is found in which every room is connected to the entrance.
+   * @throws {Error}    If no valid layout could be generated
    * @private
    */
   _generate() {
+    const max = Generator.MAX_LAYOUT_ATTEMPTS;
+    let isValid = false;
+    this._failure = null;
+    for ( let i = 0; !isValid && (i < max); i++ ) {
+      if ( i > 0 ) this._reset();
+      isValid = this._place() && this._connect() && this._placeStairs() && this._placeRoles() && this._checkCounts();
+    }
+    if ( !isValid ) {
+      const reason = this._failure ? `: ${this._failure}` : "";
+      throw new Error(`We failed to generate a connected layout after ${max} attempts${reason}`);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Verify that every room of the tileset was placed at least as often as its minimum count requires
+   * @returns {boolean}     Whether the minimum count of every room is satisfied
+   * @private
+   */
+  _checkCounts() {
+    const counts = this.getRoomCounts();
+    for ( let room of this.tileset.rooms ) {
+      const n = counts.get(room) ?? 0;
+      if ( n < room.minCount ) {
+        this._failure = `Room ${room.name} was placed ${n} times, fewer than its minimum of ${room.minCount}`;
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Place rooms at every location of the layout using the configured strategy.
+   * @returns {boolean}     Whether every location of the layout was filled
+   * @private
+   */
+  _place() {
+    if ( this.strategy === "backtrack" ) return this._placeByBacktracking();
+    const solver = new LayoutSolver(this);
+    const result = solver.solve();
+    if ( !result ) {
+      this._failure = `The layout solver abandoned an attempt after ${LayoutSolver.MAX_BACKTRACKS} backtracks`;
+      return false;
+    }
+    this.layout = result.layout;
+    this.placements = result.placements;
+    return true;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Place tiles until the layout is completed or the maximum allowed attempts are surpassed.
+   * @returns {boolean}     Whether every location of the layout was filled
+   * @private
+   */
+  _placeByBacktracking() {
     const max = Generator.MAX_ALLOWED_ATTEMPTS;
     let isComplete = false;
     while ( !isComplete && (this._attempts < max) ) {
       try {
-        this.attemptsCurrent++;
         this._attempts++;
         this._try();
-        isComplete = this.placements.length === this.roomSize;
+        isComplete = this.placements.length === (this.columns * this.rows);
       } catch(err) {
         this._backtrack();
       }
     }
-    if ( !isComplete ) {
-      // throw new Error(`We failed to generate a valid layout after ${max} attempts`);
-      console.error(`We failed to generate a valid layout after ${max} attempts`);
+    if ( !isComplete ) this._failure = `No valid layout was found after ${max} placement attempts`;
+    return isComplete;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Verify that the completed layout forms a single connected dungeon.
+   * The layout is rejected if any entrance cannot be reached from the first entrance, or from the initial room if there
+   * are no entrances. Any other rooms which cannot be reached form isolated islands, which are repaired by replacing them
+   * with blank space.
+   * @returns {boolean}     Whether the layout is connected
+   * @private
+   */
+  _connect() {
+    let graph = new LayoutGraph(this.layout, this.tileset);
+    const start = this._getStartKey();
+    const reachable = graph.getDistances(start);
+    const isConnected = !!reachable.size && this.entrances.every(e => reachable.has(LayoutGraph.getKey(e.x, e.y)));
+    if ( !isConnected ) {
+      this._failure = "The entrances of the layout are not connected to each other";
+      return false;
+    }
+
+    // Repair isolated islands
+    const unreachable = graph.getUnreachable(start);
+    for ( let k of unreachable ) {
+      const [x, y] = k.split(".").map(Number);
+      this.layout[x][y] = Room.getBlankPermutation(this.roomSize);
+    }
+    if ( unreachable.length ) graph = new LayoutGraph(this.layout, this.tileset);
+
+    // Record the graph and its metrics
+    this.graph = graph;
+    this.metrics = graph.getMetrics(start);
+    return true;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Replace placed rooms with rooms which contain each of the required stairs, keeping the connections of the layout.
+   * Stairs up are placed as near to the start of the layout as possible, and stairs down as far from the entrance or the
+   * stairs up as possible, so that the party must cross each level to descend further.
+   * @returns {boolean}     Whether every required kind of stairs could be placed
+   * @private
+   */
+  _placeStairs() {
+    for ( let stairs of this.stairs ) {
+      const distances = this.graph.getDistances(this._getStartKey());
+      const rooms = this.tileset.findRooms({stairs});
+      const keys = Array.from(distances.keys()).sort((a, b) => {
+        const d = distances.get(a) - distances.get(b);
+        return stairs === "down" ? -d : d;
+      });
+      let placed = false;
+      for ( let k of keys ) {
+        const [x, y] = k.split(".").map(Number);
+        if ( this.layout[x][y].room?.stairs ) continue;
+        const permutations = this._getMatchingPermutations(rooms, this._getAdjacentConstraints(x, y));
+        if ( !permutations.length ) continue;
+        this.layout[x][y] = this._choosePermutation(permutations, this.getRoomCounts());
+        placed = true;
+        break;
+      }
+      if ( !placed ) {
+        this._failure = `No room with ${Room.STAIRS[stairs].toLowerCase()} fits the layout`;
+        return false;
+      }
+    }
+
+    // Measure the layout from the stairs up if the layout has no entrance
+    if ( this.stairs.length ) this.metrics = this.graph.getMetrics(this._getStartKey());
+    return true;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Replace placed rooms with rooms which play each role that the tileset provides, keeping the connections of the
+   * layout. The entrance is placed at the start of the layout or in a room beside it, and the boss as far from the
+   * entrance as possible, so that the main path of the dungeon runs between them. Treasure is placed as far from the main path as
+   * possible, and a shrine is placed in any other room.
+   * @returns {boolean}     Whether every role which the tileset provides could be placed
+   * @private
+   */
+  _placeRoles() {
+    const start = this._getStartKey();
+    if ( !start || !this.tileset.rooms.some(r => r.role) ) return true;
+    const graph = this.graph;
+    const keys = Array.from(graph.nodes.keys());
+    const byDistance = (from, keys) => {
+      const distances = graph.getDistances(from);
+      return keys.filter(k => distances.has(k)).sort((a, b) => distances.get(b) - distances.get(a));
+    };
+
+    // Place the entrance at the start, unless the layout was already grown around it, and the boss at the far end of
+    // the main path
+    const [x, y] = start.split(".").map(Number);
+    const atStart = this.layout[x][y].room?.role === "entrance";
+    const entrance = atStart ? start : this._placeRole("entrance", [start, ...graph.nodes.get(start)]);
+    if ( entrance === false ) return false;
+    const fromStart = graph.getDistances(start);
+    const fromEntrance = graph.getDistances(entrance ?? start);
+    const far = keys.filter(k => fromEntrance.has(k)).sort((a, b) => {
+      return (fromEntrance.get(b) - fromEntrance.get(a)) || (fromStart.get(b) - fromStart.get(a));
+    });
+    const boss = this._placeRole("boss", far);
+    if ( boss === false ) return false;
+    const path = boss ? graph.getPath(start, boss) : [start];
+
+    // Place treasure away from the main path, and a shrine anywhere else
+    if ( this._placeRole("treasure", byDistance(path, keys)) === false ) return false;
+    for ( let i = keys.length - 1; i > 0; i-- ) {
+      const j = this.rng.integer(i + 1);
+      [keys[i], keys[j]] = [keys[j], keys[i]];
+    }
+    return this._placeRole("shrine", keys) !== false;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Replace the room at the first of several locations which can accept a room that plays a role.
+   * Rooms which have reached their maximum count are not placed, and a room is not replaced if that would leave it
+   * placed fewer times than its minimum count.
+   * @param {string} role           The role, one of Room.ROLES
+   * @param {string[]} keys         The keys of the candidate locations, in order of preference
+   * @returns {string|null|false}   The key of the location where the role was placed, null if the tileset has no room
+   *                                which may play the role, or false if no candidate location can accept such a room
+   * @private
+   */
+  _placeRole(role, keys) {
+    const counts = this.getRoomCounts();
+    const rooms = this.tileset.findRooms({role, counts});
+    if ( !rooms.length ) return null;
+    for ( let k of keys ) {
+      const [x, y] = k.split(".").map(Number);
+      const current = this.layout[x][y].room;
+      if ( current?.stairs || current?.role ) continue;
+      if ( current && ((counts.get(current) ?? 0) <= current.minCount) ) continue; // Keep the minimum count of the room
+      const permutations = this._getMatchingPermutations(rooms, this._getAdjacentConstraints(x, y));
+      if ( !permutations.length ) continue;
+      this.layout[x][y] = this._choosePermutation(permutations, counts);
+      return k;
+    }
+    this._failure = `No room with the ${Room.ROLES[role].toLowerCase()} role fits the layout`;
+    return false;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the rooms which were placed to play a role in the layout
+   * @returns {RoleData[]}
+   */
+  getRoles() {
+    const distances = this.graph.getDistances(this._getStartKey());
+    const roles = [];
+    for ( let [x, col] of this.layout.entries() ) {
+      for ( let [y, d] of col.entries() ) {
+        const role = d?.room?.role;
+        if ( !role ) continue;
+        roles.push({role, name: d.name, x, y, distance: distances.get(LayoutGraph.getKey(x, y)) ?? null});
+      }
+    }
+    return roles;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the stairs which were placed in the layout
+   * @returns {StairsData[]}
+   */
+  getStairs() {
+    const s = this.roomSize * this.gridSize;
+    const stairs = [];
+    for ( let [x, col] of this.layout.entries() ) {
+      for ( let [y, d] of col.entries() ) {
+        const direction = d?.room?.stairs;
+        if ( !direction ) continue;
+        stairs.push({direction, x, y, position: {x: (x + 0.5) * s, y: ((y + 0.5) * s) - this.gridSize}});
+      }
+    }
+    return stairs;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Number the placed rooms of the layout in order of their distance from the entrance, breaking ties row by row.
+   * Rooms which cannot be reached from the entrance are numbered last.
+   * @returns {KeyedRoomData[]}   The placed rooms in the order of their numbers
+   */
+  getRoomKey() {
+    const distances = this.graph.getDistances(this._getStartKey());
+    const s = this.roomSize * this.gridSize;
+    const offsets = {n: [0, -1], e: [1, 0], s: [0, 1], w: [-1, 0]};
+    const rooms = [];
+    for ( let [x, col] of this.layout.entries() ) {
+      for ( let [y, d] of col.entries() ) {
+        if ( !d?.img ) continue;
+        const key = LayoutGraph.getKey(x, y);
+        const exits = Room.DIRECTIONS.filter(dir => {
+          const [dx, dy] = offsets[dir];
+          return this.graph.nodes.get(key).has(LayoutGraph.getKey(x + dx, y + dy));
+        });
+        rooms.push({
+          name: d.name,
+          x: x,
+          y: y,
+          center: {x: (x + 0.5) * s, y: (y + 0.5) * s},
+          exits: exits,
+          entrances: this.entrances.filter(e => (e.x === x) && (e.y === y)).map(e => e.direction),
+          stairs: d.room?.stairs ?? null,
+          role: d.room?.role ?? null,
+          distance: distances.get(key) ?? Infinity
+        });
+      }
+    }
+    rooms.sort((a, b) => (a.distance - b.distance) || (a.y - b.y) || (a.x - b.x));
+    return rooms.map(({distance, ...r}, i) => ({number: i + 1, ...r}));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find the openings of placed rooms which lead nowhere, because they face the outer boundary of the layout away from an
+   * entrance, a blank location, or edges of the adjacent room which they cannot connect to.
+   * @returns {OpeningData[]}     The unmatched openings
+   */
+  getUnmatchedOpenings() {
+    const openings = [];
+    for ( let [x, col] of this.layout.entries() ) {
+      for ( let [y, room] of col.entries() ) {
+        if ( !room?.img ) continue;
+        const adjacent = this.getAdjacent(x, y);
+        for ( let d of Room.DIRECTIONS ) {
+          const facing = this._getAdjacentEdges(d, adjacent[d], this.getEntrance(x, y, d));
+          const edges = room.edges[d];
+          const isUnmatched = i => !!edges[i] && !(facing[i] && this.tileset.canConnect(edges[i].type, facing[i].type));
+          for ( let [start, end] of this._getRuns(edges.length, isUnmatched) ) {
+            openings.push({x, y, direction: d, start, end});
+          }
+        }
+      }
+    }
+    return openings;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Place a room which closes off the unmatched openings beside each blank location of the layout, where the tileset
+   * has a room which fits every neighbor of that location.
+   * @private
+   */
+  _placeCaps() {
+    const locations = new Map();
+    for ( let {x, y, direction} of this.getUnmatchedOpenings() ) {
+      const [dx, dy] = {n: [0, -1], e: [1, 0], s: [0, 1], w: [-1, 0]}[direction];
+      const location = this.layout[x + dx]?.[y + dy];
+      if ( location && !location.img ) locations.set(LayoutGraph.getKey(x + dx, y + dy), [x + dx, y + dy]);
+    }
+    if ( !locations.size ) return;
+
+    // Place a room at each location which satisfies all of its neighbors
+    for ( let [x, y] of locations.values() ) {
+      const counts = this.getRoomCounts();
+      const constraints = this._getAdjacentConstraints(x, y);
+      const rooms = this.tileset.findRooms({counts});
+      const permutations = this._getMatchingPermutations(rooms, constraints).filter(p => p.img);
+      if ( !permutations.length ) continue;
+      this.layout[x][y] = this._choosePermutation(permutations, counts);
+      if ( !this.placements.some(p => (p[0] === x) && (p[1] === y)) ) this.placements.push([x, y]);
     }
+
+    // Measure the updated layout
+    this.graph = new LayoutGraph(this.layout, this.tileset);
+    this.metrics = this.graph.getMetrics(this._getStartKey());
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the graph key of the location from which every room of the layout must be reachable.
+   * This is the first entrance, or the stairs up or the initial room placement if the layout has no entrances.
+   * @returns {string|null}
+   * @private
+   */
+  _getStartKey() {
+    const start = this.entrances[0] ?? this.getStairs().find(s => s.direction === "up") ?? this.placements[0];
+    if ( !start ) return null;
+    return Array.isArray(start) ? LayoutGraph.getKey(...start) : LayoutGraph.getKey(start.x, start.y);
   }
 
   /* -------------------------------------------- */
@@ -142,18 +787,24 @@ export default class Generator {
     const constraints = this._getAdjacentConstraints(x, y);
 
     // Get candidate Rooms that can provide permutations
-    const minOpen = !this.placements.length ? 9 : Object.values(constraints).flat().reduce((n, e) => (!!e ? n+1 : n), 0);
+    const minOpen = Object.values(constraints).flat().reduce((n, e) => (!!e ? n+1 : n), 0);
+    const counts = this.getRoomCounts();
     let rooms = [];
-    if ( type !== "blank" ) rooms = this.tileset.findRooms({minOpen});
+    if ( type !== "blank" ) rooms = this.tileset.findRooms({minOpen, counts});
 
-    // Get the permutations which satisfy the constraints
-    const permutations = this._getMatchingPermutations(rooms, constraints);
+    // Get the permutations which satisfy the constraints, growing the layout around the entrance role where it fits
+    let permutations = [];
+    if ( (type === "initial") && this.entrances.length ) {
+      const entrances = this.tileset.findRooms({minOpen, counts, role: "entrance"});
+      permutations = this._getMatchingPermutations(entrances, constraints);
+    }
+    if ( !permutations.length ) permutations = this._getMatchingPermutations(rooms, constraints);
     if ( permutations.length === 0 ) {
       throw new Error("We failed");
     }
 
     // Choose a permutation at random
-    const chosen = permutations[Math.floor(Math.random() * permutations.length)];
+    const chosen = this._choosePermutation(permutations, counts);
 
     // Add the chosen permutation to the layout
     this.placements.push([x, y]);
@@ -162,6 +813,46 @@ export default class Generator {
 
   /* -------------------------------------------- */
 
+  /**
+   * Choose one permutation among those which satisfy the constraints of a location.
+   * A Room is first chosen according to its weight, preferring rooms which have not yet reached their minimum count.
+   * A permutation of the chosen Room is then chosen uniformly, so that rooms which fit in many orientations are not
+   * favored over rooms which fit in few.
+   * @param {RoomData[]} permutations     The eligible permutations
+   * @param {Map<Room, number>} counts    The number of times each Room has already been placed
+   * @returns {RoomData}                  The chosen permutation
+   * @private
+   */
+  _choosePermutation(permutations, counts) {
+    const byRoom = new Map();
+    for ( let p of permutations ) {
+      if ( !byRoom.has(p.room) ) byRoom.set(p.room, []);
+      byRoom.get(p.room).push(p);
+    }
+    let rooms = Array.from(byRoom.keys());
+    const required = rooms.filter(r => r && ((counts.get(r) ?? 0) < r.minCount));
+    if ( required.length ) rooms = required;
+    const room = this.rng.weightedChoice(rooms, r => r?.weight ?? 1);
+    return this.rng.choice(byRoom.get(room));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Count the number of times each Room has been placed in the current layout
+   * @returns {Map<Room, number>}
+   */
+  getRoomCounts() {
+    const counts = new Map();
+    for ( let [x, y] of this.placements ) {
+      const room = this.layout[x][y]?.room;
+      if ( room ) counts.set(room, (counts.get(room) ?? 0) + 1);
+    }
+    return counts;
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Step backwards by removing the last attempted placement
    * @private
@@ -172,7 +863,6 @@ export default class Generator {
     }
     const [x, y] = this.placements.pop();
     this.layout[x][y] = null;
-    this.attemptsCurrent = 0;
   }
 
   /* -------------------------------------------- */
@@ -197,6 +887,11 @@ export default class Generator {
       w: [-1, 0]
     }
 
+    // Entrances must always be connected to a room
+    for ( let {x, y} of this.entrances ) {
+      required.add([x, y].join("."));
+    }
+
     // Iterate over all completed placements
     for ( let [x0, y0] of this.placements ) {
       const pos = [x0,y0].join(".")
@@ -209,16 +904,15 @@ export default class Generator {
         let x1 = x0 + o[0];
         let y1 = y0 + o[1];
         const pos = [x1,y1].join(".");
-        if ( x1.between(0, this.nRooms-1) && y1.between(0, this.nRooms-1) && !completed.has(pos) ) {
+        if ( between(x1, 0, this.columns-1) && between(y1, 0, this.rows-1) && !completed.has(pos) ) {
           required.add(pos);
         }
       }
     }
 
     // Record incomplete locations
-    const nr = Array.fromRange(this.nRooms);
-    for ( let x of nr ) {
-      for ( let y of nr ) {
+    for ( let x of range(this.columns) ) {
+      for ( let y of range(this.rows) ) {
         const pos = [x,y].join(".");
         if ( !completed.has(pos) ) incomplete.add(pos);
       }
@@ -249,8 +943,8 @@ export default class Generator {
   getAdjacent(x, y) {
     return {
       n: y === 0 ? false : (this.layout[x][y-1] ?? null),
-      e: x === (this.nRooms-1) ? false : (this.layout[x+1][y] ?? null),
-      s: y === (this.nRooms-1) ? false : (this.layout[x][y+1] ?? null),
+      e: x === (this.columns-1) ? false : (this.layout[x+1][y] ?? null),
+      s: y === (this.rows-1) ? false : (this.layout[x][y+1] ?? null),
       w: x === 0 ? false : (this.layout[x-1][y] ?? null)
     };
   }
@@ -271,7 +965,7 @@ export default class Generator {
     const adjacent = this.getAdjacent(x, y);
     const constraints = {};
     for ( let [k, v] of Object.entries(adjacent) ) {
-      constraints[k] = this._getAdjacentEdges(k, v);
+      constraints[k] = this._getAdjacentEdges(k, v, this.getEntrance(x, y, k));
     }
     return constraints;
   }
@@ -282,21 +976,25 @@ export default class Generator {
    * Get the edges for an adjacent space
    * @param {string} direction                  The cardinal direction
    * @param {RoomData|boolean|null} adjacent    The contents of the adjacent space
+   * @param {EntranceData} [entrance]           An entrance which opens this edge, if any
    * @return {(EdgeData|boolean|null)[]}        The adjacent edges
    * @private
    */
-  _getAdjacentEdges(direction, adjacent) {
+  _getAdjacentEdges(direction, adjacent, entrance) {
 
-    // Case 1: adjacent is an outer edge, all edges should be closed (false)
-    if ( adjacent === false ) return Array.fromRange(this.roomSize).map(n => false);
+    // Case 1: adjacent is an outer edge, all edges should be closed (false) unless it is an entrance
+    if ( adjacent === false ) {
+      if ( entrance ) return this._getEntranceEdges();
+      return range(this.roomSize).map(n => false);
+    }
 
     // Case 2: adjacent is interior blank, edges can be anything (null)
-    if ( adjacent === null ) return Array.fromRange(this.roomSize).map(n => null);
+    if ( adjacent === null ) return range(this.roomSize).map(n => null);
 
     // Case 3: adjacent is interior data with known edges
     const idx = { n: "s", e: "w", s: "n", w: "e" }[direction]; // reverse the direction
     const edges = duplicate(adjacent.edges[idx]);
-    return edges ?? Array.fromRange(this.roomSize).map(n => null);
+    return edges ?? range(this.roomSize).map(n => null);
   }
 
   /* -------------------------------------------- */
@@ -311,18 +1009,25 @@ export default class Generator {
   _getMatchingPermutations(rooms, constraints) {
     const matches = [];
 
+    // Narrow the candidates using the tileset index for the most selective side whose constraints are fully known
+    let candidates = this.tileset.permutations;
+    for ( let [d, edges] of Object.entries(constraints) ) {
+      if ( edges.includes(null) ) continue;
+      const compatible = this.tileset.getCompatiblePermutations(d, edges);
+      if ( compatible.length < candidates.length ) candidates = compatible;
+    }
+
     // Match room permutations
-    for ( let r of rooms ) {
-      const permutations = r.getPermutations();
-      for ( let p of permutations ) {
-        const match = this._testPermutation(p, constraints);
-        if ( match ) matches.push(p);
-      }
+    const allowed = new Set(rooms);
+    for ( let p of candidates ) {
+      if ( !allowed.has(p.room) ) continue;
+      const match = this._testPermutation(p, constraints);
+      if ( match ) matches.push(p);
     }
 
     // Allow for a blank tile
     if ( !matches.length ) {
-      const blank = Room.getBlankPermutation();
+      const blank = Room.getBlankPermutation(this.roomSize);
       const match = this._testPermutation(blank, constraints);
       if ( match ) matches.push(blank);
     }
@@ -358,7 +1063,7 @@ export default class Generator {
       const e = edge[i];
       if ( v === null ) return true;    // null can match anything
       else if ( v === false ) return e === false; // Closed must match closed
-      else return !!e === !!v;          // Open must match open
+      else return !!e && this.tileset.canConnect(e.type, v.type); // Open must match a compatible open type
     });
   }
 
@@ -371,17 +1076,20 @@ export default class Generator {
    */
   _getNextLocation() {
 
-    // Case 1: initiate a brand new layout
+    // Case 1: initiate a brand new layout, beginning from the first entrance if there is one
     if ( !this.placements.length ) {
-      const i1 = Math.floor(this.nRooms / 2);
-      return [i1, i1, "initial"];
+      if ( this.entrances.length ) {
+        const {x, y} = this.entrances[0];
+        return [x, y, "initial"];
+      }
+      return [Math.floor(this.columns / 2), Math.floor(this.rows / 2), "initial"];
     }
 
     // Case 2: populate adjacent positions
     const progress = this._getProgress();
     const required = Array.from(progress.required);
     if ( required.length ) {
-      const next = required[Math.floor(Math.random() * required.length)].split(".").map(Number);
+      const next = this.rng.choice(required).split(".").map(Number);
       next.push("adjacent");
       return next;
     }
@@ -389,7 +1097,7 @@ export default class Generator {
     // Case 3: populate blank tiles
     const incomplete = Array.from(progress.incomplete);
     if ( incomplete.length ) {
-      const next = incomplete[Math.floor(Math.random() * incomplete.length)].split(".").map(Number);
+      const next = this.rng.choice(incomplete).split(".").map(Number);
       next.push("blank");
       return next;
     }
@@ -400,21 +1108,33 @@ export default class Generator {
 
   /**
    * Export the generated dungeon layout to Scene data
-   * @returns {{padding: number, size: number, width: number, height: number}}
+   * @returns {{padding: number, grid: number, width: number, height: number}}
    * @private
    */
   _export() {
 
     // Get the canvas dimensions
-    const s = this._getCanvasSize(this.size);
+    const {width, height} = this._getCanvasSize();
     const config = {
-      width: s,
-      height: s,
-      size: this.gridSize,
+      width: width,
+      height: height,
+      grid: this.gridSize,
       padding: 0,
       backgroundColor: "#000000",
       tiles: [],
-      walls: []
+      walls: [],
+      lights: [],
+      sounds: [],
+      flags: {
+        [constants.moduleName]: {
+          seed: this.seed,
+          entrances: this.entrances.map(e => this._exportEntrance(e)),
+          rooms: this.getRoomKey(),
+          stairs: this.getStairs(),
+          roles: this.getRoles(),
+          metrics: this.metrics
+        }
+      }
     };
 
     // Get tile configuration
@@ -434,58 +1154,285 @@ export default class Generator {
           locked: true
         };
         config.tiles.push(tileData);
-        console.log(d);
-
-        // I'm sure there is a fancier way to do this
-        if (d.rotation === undefined || d.rotation === 0) {
-          if (d.walls.n !== undefined) {
-            for (let w = 0; w < d.walls.n.length; w++) {
-              d.walls.n[w].c[0] += x * s;
-              d.walls.n[w].c[1] += y * s;
-              d.walls.n[w].c[2] += x * s;
-              d.walls.n[w].c[3] += y * s;
-            }
-            config.walls = config.walls.concat(d.walls.n);
-          }
-          config.walls = config.walls.concat(d.walls.n);
-        }
-        else if (d.rotation === 90) {
-          if (d.walls.e !== undefined) {
-            for (let w = 0; w < d.walls.e.length; w++) {
-              d.walls.e[w].c[0] += x * s;
-              d.walls.e[w].c[1] += y * s;
-              d.walls.e[w].c[2] += x * s;
-              d.walls.e[w].c[3] += y * s;
-            }
-            config.walls = config.walls.concat(d.walls.e);
-          } 
+
+        // Walls are already transformed to match the permutation, so they only need to be positioned
+        for ( let w of d.walls ) {
+          config.walls.push(this._exportWall(w, x * s, y * s));
         }
-        else if (d.rotation === 180) {
-          if (d.walls.s !== undefined) {
-            for (let w = 0; w < d.walls.n.length; w++) {
-              d.walls.s[w].c[0] += x * s;
-              d.walls.s[w].c[1] += y * s;
-              d.walls.s[w].c[2] += x * s;
-              d.walls.s[w].c[3] += y * s;
-            }
-            config.walls = config.walls.concat(d.walls.s);
-          } 
+
+        // Light and sound anchors are declared in the coordinates of the base room, so they must also be transformed
+        const room = d.room;
+        if ( !room ) continue;
+        for ( let l of room.data.lights ?? [] ) {
+          config.lights.push(this._exportLight(room, d, l, x * s, y * s));
         }
-        else if (d.rotation === 270) {
-          if (d.walls.w !== undefined) {
-            for (let w = 0; w < d.walls.n.length; w++) {
-              d.walls.w[w].c[0] += x * s;
-              d.walls.w[w].c[1] += y * s;
-              d.walls.w[w].c[2] += x * s;
-              d.walls.w[w].c[3] += y * s;
-            }
-            config.walls = config.walls.concat(d.walls.w);
-          } 
+        for ( let a of room.data.sounds ?? [] ) {
+          config.sounds.push(this._exportSound(room, d, a, x * s, y * s));
         }
       }
     }
 
+    // Seal openings which lead nowhere, then place doors across the connections between rooms
+    for ( let o of this.getUnmatchedOpenings() ) config.walls.push(this._createSeal(o));
+    if ( this.doors.enabled ) config.walls.push(...this._exportDoors(config.walls));
+
     // Return the exported configuration
     return config;
   }
-}
+
+  /* -------------------------------------------- */
+
+  /**
+   * Export an entrance location, including the pixel coordinates of its opening on the Scene.
+   * @param {EntranceData} entrance     The entrance location
+   * @returns {object}                  The exported entrance data
+   * @private
+   */
+  _exportEntrance(entrance) {
+    const s = this.roomSize * this.gridSize;
+    const origin = this._getEntranceOrigin(entrance);
+    return {
+      x: entrance.x,
+      y: entrance.y,
+      direction: entrance.direction,
+      position: {x: origin.x * s, y: origin.y * s}
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Export a wall of a placed room permutation, translating it from room coordinates to Scene coordinates.
+   * Each exported wall receives a new unique ID, since the same room may be placed more than once.
+   * @param {WallData} wall         The wall data of the room permutation
+   * @param {number} dx             The horizontal offset of the room in pixels
+   * @param {number} dy             The vertical offset of the room in pixels
+   * @returns {WallData}            The exported wall data
+   * @private
+   */
+  _exportWall(wall, dx, dy) {
+    const [x0, y0, x1, y1] = wall.c;
+    return Object.assign(duplicate(wall), {
+      _id: this._generateId(),
+      c: [x0 + dx, y0 + dy, x1 + dx, y1 + dy]
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Export a light anchor of a placed room as AmbientLight data, applying the rotation and mirroring of the
+   * permutation before translating it from room coordinates to Scene coordinates.
+   * @param {Room} room             The base room which declares the anchor
+   * @param {RoomData} permutation  The placed permutation of the room
+   * @param {LightAnchor} light     The light anchor
+   * @param {number} dx             The horizontal offset of the room in pixels
+   * @param {number} dy             The vertical offset of the room in pixels
+   * @returns {object}              The exported light data
+   * @private
+   */
+  _exportLight(room, permutation, light, dx, dy) {
+    const {mirrorX, mirrorY} = permutation;
+    const direction = Room.DIRECTIONS[permutation.rotation / 90];
+    const {x, y} = room.transformPoint(light.x, light.y, direction, mirrorX, mirrorY);
+    return Object.assign({t: "l", angle: 360}, duplicate(light), {
+      _id: this._generateId(),
+      x: x + dx,
+      y: y + dy,
+      rotation: room.transformAngle(light.rotation ?? 0, direction, mirrorX, mirrorY)
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Export a sound anchor of a placed room as AmbientSound data, applying the rotation and mirroring of the
+   * permutation before translating it from room coordinates to Scene coordinates.
+   * @param {Room} room             The base room which declares the anchor
+   * @param {RoomData} permutation  The placed permutation of the room
+   * @param {SoundAnchor} sound     The sound anchor
+   * @param {number} dx             The horizontal offset of the room in pixels
+   * @param {number} dy             The vertical offset of the room in pixels
+   * @returns {object}              The exported sound data
+   * @private
+   */
+  _exportSound(room, permutation, sound, dx, dy) {
+    const direction = Room.DIRECTIONS[permutation.rotation / 90];
+    const {x, y} = room.transformPoint(sound.x, sound.y, direction, permutation.mirrorX, permutation.mirrorY);
+    return Object.assign({t: "l", volume: 0.5}, duplicate(sound), {
+      _id: this._generateId(),
+      x: x + dx,
+      y: y + dy
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Export a door across each opening which connects a placed room to the room east or south of it.
+   * An opening is a run of consecutive edges which are open on both sides and able to connect to each other. Openings
+   * which are already crossed by a door of either room are skipped.
+   * @param {WallData[]} walls      The walls which have already been exported
+   * @returns {WallData[]}          The exported door walls
+   * @private
+   */
+  _exportDoors(walls) {
+    const doors = [];
+    for ( let [x, col] of this.layout.entries() ) {
+      for ( let [y, room] of col.entries() ) {
+        if ( !room?.img ) continue;
+
+        // The east edges of a room share a vertical line with the west edges of its neighbor, indexed top to bottom
+        const east = this.layout[x+1]?.[y];
+        if ( east?.img ) {
+          for ( let [start, end] of this._getOpenings(room.edges.e, east.edges.w) ) {
+            doors.push(this._getOpeningCoordinates({x, y, direction: "e", start, end}));
+          }
+        }
+
+        // The south edges of a room share a horizontal line with the north edges of its neighbor, indexed left to right
+        const south = col[y+1];
+        if ( south?.img ) {
+          for ( let [start, end] of this._getOpenings(room.edges.s, south.edges.n) ) {
+            doors.push(this._getOpeningCoordinates({x, y, direction: "s", start, end}));
+          }
+        }
+      }
+    }
+    return doors.filter(c => !this._hasDoor(walls, c)).map(c => this._createDoor(c));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find the openings between two facing sides of edges, as runs of consecutive edges which can connect to each other
+   * @param {EdgeData[]} a          The edges of one side
+   * @param {EdgeData[]} b          The facing edges of the adjacent side
+   * @returns {Array<[number, number]>}   The start and end index of each opening, where the end is exclusive
+   * @private
+   */
+  _getOpenings(a, b) {
+    return this._getRuns(a.length, i => !!a[i] && !!b[i] && this.tileset.canConnect(a[i].type, b[i].type));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find the runs of consecutive edge indices along a side which pass a test
+   * @param {number} length         The number of edges along the side
+   * @param {Function} test         A function which tests the edge at an index
+   * @returns {Array<[number, number]>}   The start and end index of each run, where the end is exclusive
+   * @private
+   */
+  _getRuns(length, test) {
+    const runs = [];
+    let start = null;
+    for ( let i = 0; i <= length; i++ ) {
+      const passed = (i < length) && test(i);
+      if ( passed && (start === null) ) start = i;
+      else if ( !passed && (start !== null) ) {
+        runs.push([start, i]);
+        start = null;
+      }
+    }
+    return runs;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the Scene coordinates of the boundary line which an opening spans.
+   * Edges of the north and south sides are indexed from west to east, and edges of the east and west sides from north
+   * to south.
+   * @param {OpeningData} opening   The opening
+   * @returns {number[]}            The wall coordinates of the opening
+   * @private
+   */
+  _getOpeningCoordinates({x, y, direction, start, end}) {
+    const s = this.roomSize * this.gridSize;
+    const g = this.gridSize;
+    switch ( direction ) {
+      case "n": return [(x * s) + (start * g), y * s, (x * s) + (end * g), y * s];
+      case "e": return [(x+1) * s, (y * s) + (start * g), (x+1) * s, (y * s) + (end * g)];
+      case "s": return [(x * s) + (start * g), (y+1) * s, (x * s) + (end * g), (y+1) * s];
+      case "w": return [x * s, (y * s) + (start * g), x * s, (y * s) + (end * g)];
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create the wall data of a wall segment which seals an opening that leads nowhere
+   * @param {OpeningData} opening   The unmatched opening
+   * @returns {WallData}            The sealing wall data
+   * @private
+   */
+  _createSeal(opening) {
+    return {
+      _id: this._generateId(),
+      flags: {},
+      c: this._getOpeningCoordinates(opening),
+      move: 1,
+      sense: 1,
+      dir: 0,
+      door: Generator.DOOR_TYPES.none,
+      ds: Generator.DOOR_STATES.closed
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Test whether an opening is already crossed by a door which lies along the same line
+   * @param {WallData[]} walls      The exported walls
+   * @param {number[]} c            The coordinates of the opening
+   * @returns {boolean}
+   * @private
+   */
+  _hasDoor(walls, [x0, y0, x1, y1]) {
+    const vertical = x0 === x1;
+    const [min, max] = vertical ? [y0, y1] : [x0, x1];
+    return walls.some(w => {
+      if ( !w.door ) return false;
+      const [wx0, wy0, wx1, wy1] = w.c;
+      if ( vertical ) return (wx0 === x0) && (wx1 === x0) && (Math.max(wy0, wy1) > min) && (Math.min(wy0, wy1) < max);
+      return (wy0 === y0) && (wy1 === y0) && (Math.max(wx0, wx1) > min) && (Math.min(wx0, wx1) < max);
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create the wall data of a door placed across an opening, rolling whether it is a secret door and whether it is locked
+   * @param {number[]} c            The coordinates of the door
+   * @returns {WallData}            The door wall data
+   * @private
+   */
+  _createDoor(c) {
+    const secret = this.rng.random() < this.doors.secret;
+    const locked = this.rng.random() < this.doors.locked;
+    return {
+      _id: this._generateId(),
+      flags: {},
+      c: c,
+      move: 1,
+      sense: 1,
+      dir: 0,
+      door: secret ? Generator.DOOR_TYPES.secret : Generator.DOOR_TYPES.door,
+      ds: locked ? Generator.DOOR_STATES.locked : Generator.DOOR_STATES.closed
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Generate a unique document ID using the seeded random number generator so that exports are reproducible.
+   * @param {number} [length=16]    The length of the ID
+   * @returns {string}              The generated ID
+   * @private
+   */
+  _generateId(length=16) {
+    const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+    return range(length).map(() => this.rng.choice(chars)).join("");
+  }
+}
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * Metrics which describe the structure of a generated dungeon layout.
+ * @typedef {Object} LayoutMetrics
+ * @property {number} rooms           The number of rooms which were placed
+ * @property {number} connections     The number of connections between adjacent rooms
+ * @property {number} longestPath     The length of the longest shortest path between any two rooms, in rooms traversed
+ * @property {number} depth           The greatest number of rooms traversed to reach any room from the entrance
+ * @property {number} deadEnds        The number of rooms which connect to exactly one other room
+ */
+
+/**
+ * A graph of the connections between placed rooms, formed by the open edges which each permutation shares with its
+ * neighbors. Each node of the graph is keyed by the "x.y" location of its room in the layout.
+ * @param {Array<Array<RoomData|null>>} layout    The layout of room permutations, indexed by column then row
+ * @param {Tileset} tileset                       The Tileset which provides the connection rules between edge types
+ */
+export default class LayoutGraph {
+  constructor(layout, tileset) {
+    this.layout = layout;
+    this.tileset = tileset;
+
+    /**
+     * The set of neighboring locations which each placed room is connected to
+     * @type {Map<string, Set<string>>}
+     */
+    this.nodes = new Map();
+    this._build();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the key of the graph node for a location in the layout
+   * @param {number} x      The column coordinate
+   * @param {number} y      The row coordinate
+   * @returns {string}
+   */
+  static getKey(x, y) {
+    return [x, y].join(".");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Build the graph by testing every pair of horizontally or vertically adjacent rooms for a shared opening
+   * @private
+   */
+  _build() {
+    for ( let [x, col] of this.layout.entries() ) {
+      for ( let [y, room] of col.entries() ) {
+        if ( !room?.img ) continue;
+        this.nodes.set(LayoutGraph.getKey(x, y), new Set());
+      }
+    }
+    for ( let [x, col] of this.layout.entries() ) {
+      for ( let [y, room] of col.entries() ) {
+        if ( !room?.img ) continue;
+        const east = this.layout[x+1]?.[y];
+        if ( east?.img && this._isConnected(room.edges.e, east.edges.w) ) this._connect([x, y], [x+1, y]);
+        const south = col[y+1];
+        if ( south?.img && this._isConnected(room.edges.s, south.edges.n) ) this._connect([x, y], [x, y+1]);
+      }
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Test whether two facing edges share at least one compatible opening
+   * @param {EdgeData[]} a      The edges of the first room
+   * @param {EdgeData[]} b      The facing edges of the second room
+   * @returns {boolean}
+   * @private
+   */
+  _isConnected(a, b) {
+    return a.some((e, i) => !!e && !!b[i] && this.tileset.canConnect(e.type, b[i].type));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Record a connection between two locations
+   * @param {number[]} a        The first location
+   * @param {number[]} b        The second location
+   * @private
+   */
+  _connect(a, b) {
+    const ka = LayoutGraph.getKey(...a);
+    const kb = LayoutGraph.getKey(...b);
+    this.nodes.get(ka).add(kb);
+    this.nodes.get(kb).add(ka);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Compute the shortest path distance from a starting location to every reachable room using a breadth-first search
+   * @param {string|string[]} start       The key of the starting location, or the keys of several starting locations
+   *                                      in which case the distance to the nearest of them is measured
+   * @returns {Map<string, number>}       The number of rooms traversed to reach each reachable location
+   */
+  getDistances(start) {
+    const distances = new Map();
+    const queue = [start].flat().filter(k => this.nodes.has(k));
+    for ( let k of queue ) distances.set(k, 0);
+    while ( queue.length ) {
+      const k = queue.shift();
+      const d = distances.get(k);
+      for ( let n of this.nodes.get(k) ) {
+        if ( distances.has(n) ) continue;
+        distances.set(n, d + 1);
+        queue.push(n);
+      }
+    }
+    return distances;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find a shortest path between two locations using a breadth-first search
+   * @param {string} start          The key of the starting location
+   * @param {string} end            The key of the destination location
+   * @returns {string[]}            The keys of the locations along the path, including both ends, or an empty array if
+   *                                the destination cannot be reached
+   */
+  getPath(start, end) {
+    if ( !this.nodes.has(start) || !this.nodes.has(end) ) return [];
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+    while ( queue.length && !previous.has(end) ) {
+      const k = queue.shift();
+      for ( let n of this.nodes.get(k) ) {
+        if ( previous.has(n) ) continue;
+        previous.set(n, k);
+        queue.push(n);
+      }
+    }
+    if ( !previous.has(end) ) return [];
+    const path = [];
+    for ( let k = end; k !== null; k = previous.get(k) ) path.unshift(k);
+    return path;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the locations of every placed room which cannot be reached from a starting location
+   * @param {string} start          The key of the starting location
+   * @returns {string[]}            The keys of unreachable locations
+   */
+  getUnreachable(start) {
+    const reachable = this.getDistances(start);
+    return Array.from(this.nodes.keys()).filter(k => !reachable.has(k));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Measure the structure of the graph
+   * @param {string} start          The key of the entrance location
+   * @returns {LayoutMetrics}
+   */
+  getMetrics(start) {
+    let connections = 0;
+    let deadEnds = 0;
+    let longestPath = 0;
+    for ( let [k, neighbors] of this.nodes.entries() ) {
+      connections += neighbors.size;
+      if ( neighbors.size === 1 ) deadEnds++;
+      for ( let d of this.getDistances(k).values() ) longestPath = Math.max(longestPath, d);
+    }
+    const depth = Math.max(0, ...this.getDistances(start).values());
+    return {
+      rooms: this.nodes.size,
+      connections: connections / 2,
+      longestPath,
+      depth,
+      deadEnds
+    };
+  }
+}
@@ -0,0 +1,132 @@
+import Room from "./room.mjs";
+import constants from "./constants.mjs";
+
+/**
+ * Write a key for a generated dungeon, like that of a published adventure.
+ * A JournalEntry folder is created for the dungeon which contains one entry for each placed room, describing its
+ * number, tileset, exits, stairs and role, any encounter which it was populated with, and flavour text drawn from an optional
+ * RollTable. A map Note which opens the entry is placed at the center of each room.
+ *
+ * @param {Generator} generator         The Generator which produced the layout
+ * @param {object} [options]
+ * @param {string} [options.name]       The name of the folder, by default that of a newly created Scene
+ * @param {string} [options.table]      The ID of a RollTable which flavour text is drawn from for each room
+ */
+export default class DungeonJournal {
+  constructor(generator, {name, table}={}) {
+    this.generator = generator;
+    this.name = name || `Dungeon ${generator.seed}`;
+    this.table = table || null;
+
+    /**
+     * The Folder which has been created for the key, if it has been written
+     * @type {Folder|null}
+     */
+    this.folder = null;
+
+    /**
+     * The JournalEntry of each room which has been created for the key
+     * @type {JournalEntry[]}
+     */
+    this.entries = [];
+  }
+
+  /**
+   * The labels of the directions in which a room may have exits
+   * @type {Object<string, string>}
+   */
+  static DIRECTIONS = {
+    n: "North",
+    e: "East",
+    s: "South",
+    w: "West"
+  };
+
+  /**
+   * The icon of the map Notes which are placed at the center of each room
+   * @type {string}
+   */
+  static NOTE_ICON = "icons/svg/book.svg";
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create the journal folder and the entry for each room of a generated configuration
+   * @param {object} configuration      The Scene configuration produced by the Generator
+   * @returns {Promise<object>}         A copy of the configuration which includes a map Note for each room
+   */
+  async write(configuration) {
+    const table = this.table ? game.tables.get(this.table) : null;
+    if ( this.table && !table ) throw new Error(`The flavour RollTable ${this.table} does not exist`);
+    const flags = configuration.flags[constants.moduleName];
+    const rooms = flags.rooms;
+
+    // Create a folder which contains an entry for each room, in the order of their numbers
+    const folder = this.folder = await Folder.create({name: this.name, type: "JournalEntry", parent: null});
+    const data = [];
+    for ( let room of rooms ) {
+      const encounter = (flags.encounters ?? []).find(e => (e.x === room.x) && (e.y === room.y));
+      data.push({
+        name: `${room.number}. ${room.name}`,
+        folder: folder.id,
+        content: await this._getContent(room, encounter, table),
+        flags: {[constants.moduleName]: {room: room.number}}
+      });
+    }
+    const created = await JournalEntry.create(data);
+    const entries = this.entries = Array.isArray(created) ? created : [created];
+
+    // Place a Note for each entry at the center of its room
+    const keyed = duplicate(configuration);
+    const notes = rooms.map((room, i) => ({
+      entryId: entries[i].id,
+      x: room.center.x,
+      y: room.center.y,
+      icon: DungeonJournal.NOTE_ICON,
+      text: String(room.number)
+    }));
+    keyed.notes = (keyed.notes ?? []).concat(notes);
+    keyed.flags[constants.moduleName].journal = {
+      folder: folder.id,
+      entries: entries.map(e => e.id)
+    };
+    return keyed;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Render the content of the journal entry for one room
+   * @param {KeyedRoomData} room        The numbered room
+   * @param {EncounterData} [encounter] The encounter which the room was populated with, if any
+   * @param {RollTable|null} table      The RollTable which flavour text is drawn from
+   * @returns {Promise<string>}         The HTML content of the entry
+   * @private
+   */
+  async _getContent(room, encounter, table) {
+    const exits = room.exits.map(d => DungeonJournal.DIRECTIONS[d]);
+    exits.push(...room.entrances.map(d => `${DungeonJournal.DIRECTIONS[d]} (Entrance)`));
+    return renderTemplate(`${constants.modulePath}/templates/room-journal.html`, {
+      room: room,
+      tileset: this.generator.tileset.title,
+      exits: exits.join(", "),
+      stairs: Room.STAIRS[room.stairs],
+      role: Room.ROLES[room.role],
+      actors: encounter?.actors.join(", "),
+      flavour: table ? await this._drawFlavour(table) : null
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Draw flavour text from a RollTable without drawing its results or posting a message
+   * @param {RollTable} table           The RollTable to roll
+   * @returns {Promise<string>}         The text of the rolled results
+   * @private
+   */
+  async _drawFlavour(table) {
+    const {results} = await table.roll();
+    return results.map(r => r.text).filter(t => t).join(" ");
+  }
+}
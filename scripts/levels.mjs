@@ -0,0 +1,142 @@
+import Generator from "./generator.mjs";
+import constants from "./constants.mjs";
+import {clamp} from "./utils.mjs";
+
+/**
+ * A connection from the stairs of one level of a dungeon to the matching stairs of another level.
+ * @typedef {Object} StairsLinkData
+ * @property {string} direction     The kind of stairs which are taken, one of Room.STAIRS
+ * @property {{x: number, y: number}} position      The pixel coordinates of the stairs on this level
+ * @property {number} level         The number of the level which the stairs lead to
+ * @property {{x: number, y: number}} destination   The pixel coordinates of the matching stairs on that level
+ */
+
+/**
+ * Generate a dungeon of several levels, each of which is a separate layout produced by its own Generator.
+ * Every level except the last contains stairs down, and every level except the first contains stairs up, which are
+ * linked to the matching stairs of the adjacent level. Only the first level has entrances. Each level after the first
+ * is seeded from the seed of the first, so that the whole dungeon is reproduced by a single seed.
+ * @param {Tileset} tileset
+ */
+export default class LevelGenerator {
+  constructor(tileset) {
+    this.tileset = tileset;
+
+    /**
+     * The Generator of each level, in order of descent
+     * @type {Generator[]}
+     */
+    this.generators = [];
+
+    /**
+     * The Scene configuration of each level, in order of descent
+     * @type {object[]}
+     */
+    this.configurations = [];
+  }
+
+  /**
+   * The maximum number of levels which may be generated at once
+   * @type {number}
+   */
+  static MAX_LEVELS = 10;
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the maximum number of levels which a tileset can generate.
+   * Levels are connected by rooms with stairs, so a tileset which lacks rooms with stairs up or stairs down can only
+   * generate a single level.
+   * @param {Tileset} tileset           The Tileset to test
+   * @returns {number}
+   */
+  static getMaxLevels(tileset) {
+    const hasStairs = ["up", "down"].every(s => tileset?.findRooms({stairs: s}).length);
+    return hasStairs ? LevelGenerator.MAX_LEVELS : 1;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The seed which reproduces every level of the dungeon
+   * @type {string|null}
+   */
+  get seed() {
+    return this.generators[0]?.seed ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Generate the configuration of every level of the dungeon
+   * @param {object} [options]          Options which are passed to the Generator of each level
+   * @param {number} [options.levels=1] The number of levels to generate
+   * @returns {object[]}                The Scene configuration of each level, in order of descent
+   */
+  generate({levels=1, ...options}={}) {
+    const n = clamp(Math.round(Number(levels)) || 1, 1, LevelGenerator.MAX_LEVELS);
+    if ( n > LevelGenerator.getMaxLevels(this.tileset) ) {
+      throw new Error(`Tileset ${this.tileset.name} has no rooms with stairs, so it can only generate a single level`);
+    }
+    this.generators = [];
+    this.configurations = [];
+    for ( let i = 0; i < n; i++ ) {
+      const generator = new Generator(this.tileset);
+      const stairs = [];
+      if ( i > 0 ) stairs.push("up");
+      if ( i < n - 1 ) stairs.push("down");
+      const configuration = generator.generate(Object.assign({}, options, {
+        seed: i === 0 ? options.seed : `${this.seed}.${i + 1}`,
+        entrances: i === 0 ? options.entrances : 0,
+        stairs: stairs
+      }));
+      this.generators.push(generator);
+      this.configurations.push(configuration);
+    }
+    this.configurations.forEach((c, i) => this._link(c, i));
+    return this.configurations;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Replace the room at a single location of one level with a different permutation.
+   * Rooms with stairs are only replaced by rooms with the same stairs, so the links between levels are unchanged.
+   * @param {number} level          The index of the level
+   * @param {number} x              The target column coordinate
+   * @param {number} y              The target row coordinate
+   * @return {object|null}          The updated configuration of the level, or null if no alternative permutation exists
+   */
+  rerollCell(level, x, y) {
+    const configuration = this.generators[level].rerollCell(x, y);
+    if ( !configuration ) return null;
+    this.configurations[level] = configuration;
+    this._link(configuration, level);
+    return configuration;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Record the number of a level and the links from its stairs to the stairs of the adjacent levels
+   * @param {object} configuration  The Scene configuration of the level
+   * @param {number} index          The index of the level
+   * @private
+   */
+  _link(configuration, index) {
+    const flags = configuration.flags[constants.moduleName];
+    flags.level = {number: index + 1, levels: this.generators.length};
+    flags.links = [];
+    for ( let stairs of this.generators[index].getStairs() ) {
+      const other = stairs.direction === "down" ? index + 1 : index - 1;
+      const target = this.generators[other]?.getStairs().find(s => s.direction !== stairs.direction);
+      if ( !target ) continue;
+      flags.links.push({
+        direction: stairs.direction,
+        position: stairs.position,
+        level: other + 1,
+        destination: target.position
+      });
+    }
+  }
+}
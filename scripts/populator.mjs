@@ -0,0 +1,372 @@
+import Room from "./room.mjs";
+import RoomAnalyzer from "./analyzer.mjs";
+import RandomGenerator from "./random.mjs";
+import constants from "./constants.mjs";
+import {duplicate} from "./utils.mjs";
+
+/**
+ * The encounter which is placed in one room of a populated dungeon.
+ * @typedef {Object} EncounterData
+ * @property {number} x               The column of the room
+ * @property {number} y               The row of the room
+ * @property {string} room            The name of the room
+ * @property {string|null} encounter  The kind of encounter which the room is marked to hold, if any
+ * @property {number} budget          The difficulty budget which was allotted to the room
+ * @property {number} difficulty      The total difficulty of the placed tokens
+ * @property {string[]} actors        The names of the placed actors
+ */
+
+/**
+ * Populate the rooms of a generated dungeon with tokens of Actors drawn from a RollTable or an Actor compendium.
+ * A difficulty budget which scales with the number of placed rooms is shared between the rooms, and each room draws
+ * actors until its share is spent. Tokens are placed on floor squares of the room which no wall covers.
+ *
+ * Rooms may be marked with the kind of encounter they hold. An "empty" room receives nothing, a "guard post" receives a
+ * small share of the budget placed beside its openings, and a "lair" receives a large share placed about its center.
+ *
+ * @param {Generator} generator         The Generator which produced the layout
+ * @param {object} options
+ * @param {string} options.source       The ID of a RollTable, or the collection name of an Actor compendium
+ * @param {number} [options.difficulty=1]   The difficulty budget for each room of the dungeon
+ */
+export default class EncounterPopulator {
+  constructor(generator, {source, difficulty=1}={}) {
+    this.generator = generator;
+    this.source = source;
+    this.difficulty = Math.max(Number(difficulty) || 0, 0);
+
+    /**
+     * A random generator seeded from the layout, so that the same layout draws from a compendium identically
+     * @type {RandomGenerator}
+     */
+    this.rng = new RandomGenerator(`${generator.seed}.encounters`);
+
+    /**
+     * Actors which have been read from a compendium during population, keyed by their compendium entry
+     * @type {Map<string, Actor>}
+     * @private
+     */
+    this._entries = new Map();
+
+    /**
+     * Actors which have been imported from a compendium during population, keyed by their compendium entry
+     * @type {Map<string, Actor>}
+     * @private
+     */
+    this._imported = new Map();
+
+    /**
+     * The IDs of Actors which were imported into the World during population, rather than found already imported
+     * @type {string[]}
+     */
+    this.importedActors = [];
+  }
+
+  /**
+   * The share of the difficulty budget and the placement of tokens for each kind of encounter.
+   * Rooms which are not marked use the default configuration.
+   * @type {Object<string, {weight: number, placement: string}>}
+   */
+  static ENCOUNTER_CONFIG = {
+    default: {weight: 1, placement: "scatter"},
+    empty: {weight: 0, placement: "scatter"},
+    "guard post": {weight: 0.5, placement: "openings"},
+    lair: {weight: 3, placement: "center"}
+  };
+
+  /**
+   * The maximum number of actors which are drawn for each room before its remaining budget is abandoned
+   * @type {number}
+   */
+  static MAX_DRAWS = 20;
+
+  /**
+   * The smallest difficulty which an actor is counted as, so that harmless actors still spend the budget
+   * @type {number}
+   */
+  static MIN_DIFFICULTY = 0.25;
+
+  /* -------------------------------------------- */
+
+  /**
+   * The total difficulty budget of the dungeon, which scales with the number of placed rooms
+   * @type {number}
+   */
+  get budget() {
+    return this.difficulty * this._getRooms().length;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Populate a generated configuration with tokens.
+   * The room which contains the first entrance, or the stairs up of a lower level, is left empty, so that players do not
+   * arrive in the middle of a fight.
+   * @param {object} configuration      The Scene configuration produced by the Generator
+   * @returns {Promise<object>}         A copy of the configuration which includes the placed tokens
+   */
+  async populate(configuration) {
+    const source = await this._getSource();
+    const rooms = this._getRooms();
+    const weights = rooms.map(r => EncounterPopulator._getConfig(r.permutation).weight);
+    const total = weights.reduce((t, w) => t + w, 0);
+    const tokens = [];
+    const encounters = [];
+    for ( let [i, r] of rooms.entries() ) {
+      const budget = total ? (this.budget * weights[i] / total) : 0;
+      const encounter = await this._populateRoom(source, r, budget);
+      tokens.push(...encounter.tokens);
+      encounters.push(encounter.data);
+    }
+    const populated = duplicate(configuration);
+    populated.tokens = (populated.tokens ?? []).concat(tokens);
+    populated.flags[constants.moduleName].encounters = encounters;
+    populated.flags[constants.moduleName].importedActors = this.importedActors.slice();
+    return populated;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the placed rooms of the layout which may hold an encounter
+   * @returns {Array<{x: number, y: number, permutation: RoomData}>}
+   * @private
+   */
+  _getRooms() {
+    const start = this.generator.entrances[0] ?? this.generator.getStairs().find(s => s.direction === "up");
+    const rooms = [];
+    for ( let [x, col] of this.generator.layout.entries() ) {
+      for ( let [y, permutation] of col.entries() ) {
+        if ( !permutation?.img ) continue;
+        if ( start && (start.x === x) && (start.y === y) ) continue;
+        rooms.push({x, y, permutation});
+      }
+    }
+    return rooms;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the encounter configuration of a placed room permutation
+   * @param {RoomData} permutation      The placed permutation
+   * @returns {{weight: number, placement: string}}
+   * @private
+   */
+  static _getConfig(permutation) {
+    const encounter = permutation.room?.encounter;
+    return EncounterPopulator.ENCOUNTER_CONFIG[encounter ?? "default"];
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Draw actors for a single room until its budget is spent, and place a token for each on a free floor square.
+   * An actor which is drawn from a compendium is only imported into the World once its token has been placed.
+   * @param {RollTable|Compendium} source     The source of actors
+   * @param {{x: number, y: number, permutation: RoomData}} room   The placed room
+   * @param {number} budget             The difficulty budget of the room
+   * @returns {Promise<{tokens: object[], data: EncounterData}>}
+   * @private
+   */
+  async _populateRoom(source, {x, y, permutation}, budget) {
+    const config = EncounterPopulator._getConfig(permutation);
+    const squares = this._getSquares(permutation, config.placement);
+    const occupied = new Set();
+    const tokens = [];
+    const data = {
+      x, y,
+      room: permutation.name,
+      encounter: permutation.room?.encounter ?? null,
+      budget: budget,
+      difficulty: 0,
+      actors: []
+    };
+
+    // Draw actors while the budget allows
+    let remaining = budget;
+    for ( let i = 0; (i < EncounterPopulator.MAX_DRAWS) && (remaining >= EncounterPopulator.MIN_DIFFICULTY); i++ ) {
+      const actor = await this._drawActor(source);
+      if ( !actor ) continue;
+      const difficulty = EncounterPopulator.getDifficulty(actor);
+      if ( difficulty > remaining ) continue;
+      const token = this._placeToken(actor, squares, occupied, x, y);
+      if ( !token ) continue;
+      const placed = actor.compendium ? await this._importActor(actor.compendium, actor.id) : actor;
+      if ( !placed ) continue;
+      token.actorId = placed.id;
+      tokens.push(token);
+      remaining -= difficulty;
+      data.difficulty += difficulty;
+      data.actors.push(actor.name);
+    }
+    return {tokens, data};
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the floor squares of a placed room, ordered by preference for the placement of tokens
+   * @param {RoomData} permutation      The placed permutation
+   * @param {string} placement          The placement preference, either scatter, openings or center
+   * @returns {Array<[number, number]>} The column and row of each floor square within the room
+   * @private
+   */
+  _getSquares(permutation, placement) {
+    const room = new Room(permutation, this.generator.tileset);
+    const squares = new RoomAnalyzer(room).getFloorSquares();
+    const n = room.size;
+
+    // Shuffle the squares so that ties are broken at random
+    for ( let i = squares.length - 1; i > 0; i-- ) {
+      const j = this.rng.integer(i + 1);
+      [squares[i], squares[j]] = [squares[j], squares[i]];
+    }
+    if ( placement === "scatter" ) return squares;
+
+    // Order the squares by their distance to a target
+    let targets;
+    if ( placement === "openings" ) {
+      targets = [];
+      for ( let [i, e] of permutation.edges.n.entries() ) if ( e ) targets.push([i, 0]);
+      for ( let [i, e] of permutation.edges.e.entries() ) if ( e ) targets.push([n - 1, i]);
+      for ( let [i, e] of permutation.edges.s.entries() ) if ( e ) targets.push([i, n - 1]);
+      for ( let [i, e] of permutation.edges.w.entries() ) if ( e ) targets.push([0, i]);
+    }
+    else targets = [[(n - 1) / 2, (n - 1) / 2]];
+    const distance = ([i, j]) => Math.min(...targets.map(([ti, tj]) => Math.hypot(ti - i, tj - j)));
+    return squares.map(s => [s, distance(s)]).sort((a, b) => a[1] - b[1]).map(s => s[0]);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create the data of a token for an actor at the first free floor square which fits the size of its token
+   * @param {Actor} actor               The actor to place
+   * @param {Array<[number, number]>} squares   The floor squares of the room, in order of preference
+   * @param {Set<string>} occupied      The squares which are already occupied
+   * @param {number} x                  The column of the room
+   * @param {number} y                  The row of the room
+   * @returns {object|null}             The token data, or null if the token does not fit
+   * @private
+   */
+  _placeToken(actor, squares, occupied, x, y) {
+    const floor = new Set(squares.map(s => s.join(".")));
+    const width = Math.max(Math.round(actor.data.token.width), 1);
+    const height = Math.max(Math.round(actor.data.token.height), 1);
+    for ( let [i, j] of squares ) {
+      const footprint = [];
+      for ( let di = 0; di < width; di++ ) {
+        for ( let dj = 0; dj < height; dj++ ) footprint.push([i + di, j + dj].join("."));
+      }
+      if ( !footprint.every(k => floor.has(k) && !occupied.has(k)) ) continue;
+      footprint.forEach(k => occupied.add(k));
+      const g = this.generator.gridSize;
+      const s = this.generator.roomSize * g;
+      return Object.assign(duplicate(actor.data.token), {
+        actorId: actor.id,
+        x: (x * s) + (i * g),
+        y: (y * s) + (j * g)
+      });
+    }
+    return null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the RollTable or Actor compendium which actors are drawn from
+   * @returns {Promise<RollTable|Compendium>}
+   * @private
+   */
+  async _getSource() {
+    const table = game.tables.get(this.source);
+    if ( table ) return table;
+    const pack = game.packs.get(this.source);
+    if ( pack?.entity === "Actor" ) {
+      await pack.getIndex();
+      return pack;
+    }
+    throw new Error(`The encounter source ${this.source} is not a RollTable or an Actor compendium`);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Draw an actor from the source of actors.
+   * A RollTable is rolled without drawing its result or posting a message, while a compendium entry is chosen at random.
+   * An actor which is drawn from a compendium is read from the compendium rather than imported into the World.
+   * @param {RollTable|Compendium} source     The source of actors
+   * @returns {Promise<Actor|null>}     The drawn actor, or null if the draw did not produce an actor
+   * @private
+   */
+  async _drawActor(source) {
+    if ( source instanceof RollTable ) {
+      const {results} = await source.roll();
+      const result = results[0];
+      if ( !result ) return null;
+      if ( result.type === CONST.TABLE_RESULT_TYPES.ENTITY ) {
+        return result.collection === "Actor" ? (game.actors.get(result.resultId) ?? null) : null;
+      }
+      if ( result.type === CONST.TABLE_RESULT_TYPES.COMPENDIUM ) {
+        return this._getEntry(game.packs.get(result.collection), result.resultId);
+      }
+      return null;
+    }
+    const entry = this.rng.choice(source.index);
+    return entry ? this._getEntry(source, entry._id) : null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Read the Actor of a compendium entry without importing it into the World
+   * @param {Compendium} pack           The Actor compendium
+   * @param {string} id                 The ID of the compendium entry
+   * @returns {Promise<Actor|null>}     The Actor, whose compendium property is the pack it was read from
+   * @private
+   */
+  async _getEntry(pack, id) {
+    if ( pack?.entity !== "Actor" ) return null;
+    const key = `${pack.collection}.${id}`;
+    if ( !this._entries.has(key) ) this._entries.set(key, (await pack.getEntity(id)) ?? null);
+    return this._entries.get(key);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get a World Actor for a compendium entry, importing it unless it has already been imported by a population
+   * @param {Compendium} pack           The Actor compendium
+   * @param {string} id                 The ID of the compendium entry
+   * @returns {Promise<Actor|null>}
+   * @private
+   */
+  async _importActor(pack, id) {
+    if ( pack?.entity !== "Actor" ) return null;
+    const key = `${pack.collection}.${id}`;
+    if ( this._imported.has(key) ) return this._imported.get(key);
+    let actor = game.actors.find(a => a.getFlag(constants.moduleName, "sourceId") === key);
+    if ( !actor ) {
+      actor = await game.actors.importFromCollection(pack.collection, id, {
+        flags: {[constants.moduleName]: {sourceId: key}}
+      }, {renderSheet: false});
+      if ( actor ) this.importedActors.push(actor.id);
+    }
+    this._imported.set(key, actor ?? null);
+    return actor ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Measure the difficulty of an actor from its challenge rating or level, where the game system provides one
+   * @param {Actor} actor               The actor
+   * @returns {number}                  The difficulty of the actor
+   */
+  static getDifficulty(actor) {
+    const details = actor.data.data?.details ?? {};
+    const value = Number(details.cr ?? details.level?.value ?? details.level ?? 1);
+    return Math.max(Number.isFinite(value) ? value : 1, EncounterPopulator.MIN_DIFFICULTY);
+  }
+}
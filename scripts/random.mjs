@@ -0,0 +1,112 @@
+/**
+ * A seedable pseudo-random number generator which drives every random choice made while generating a dungeon.
+ * The same seed always produces the same sequence of values, which allows a layout to be rebuilt exactly.
+ * The underlying algorithm is mulberry32, which is fast and has a period of 2^32.
+ * @param {string|number} [seed]    The seed to use. A random seed is chosen if none is provided.
+ */
+export default class RandomGenerator {
+  constructor(seed) {
+    this.seed = RandomGenerator.normalizeSeed(seed);
+    this._state = RandomGenerator.hashSeed(this.seed);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Normalize a provided seed to the string form which is displayed and recorded in generated configurations.
+   * @param {string|number|null} [seed]   A provided seed, or an empty value to request a new random seed
+   * @returns {string}                    The normalized seed
+   */
+  static normalizeSeed(seed) {
+    if ( (seed === undefined) || (seed === null) ) return RandomGenerator.randomSeed();
+    seed = String(seed).trim();
+    return seed || RandomGenerator.randomSeed();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create a new random seed which is short enough to be shared and typed by hand.
+   * @returns {string}
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF).toString(36).padStart(7, "0");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Hash a seed string to an unsigned 32-bit integer which initializes the generator state.
+   * @param {string} seed     The seed string
+   * @returns {number}        The hashed 32-bit state
+   */
+  static hashSeed(seed) {
+    let h = 1779033703 ^ seed.length;
+    for ( let i = 0; i < seed.length; i++ ) {
+      h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+      h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Draw the next value from the sequence.
+   * @returns {number}        A floating point number in the range [0, 1)
+   */
+  random() {
+    let t = this._state = (this._state + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Draw a random integer in the range [0, n)
+   * @param {number} n        The exclusive upper bound
+   * @returns {number}        The drawn integer
+   */
+  integer(n) {
+    return Math.floor(this.random() * n);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Choose a random element from an array.
+   * @param {Array} array     The array to choose from
+   * @returns {*}             The chosen element, or undefined if the array is empty
+   */
+  choice(array) {
+    return array[this.integer(array.length)];
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Choose a random element from an array, where each element is chosen proportionally to its weight.
+   * If every weight is zero the element is chosen uniformly instead.
+   * @param {Array} array           The array to choose from
+   * @param {Function} weight       A function which returns the non-negative weight of an element
+   * @returns {*}                   The chosen element, or undefined if the array is empty
+   */
+  weightedChoice(array, weight) {
+    const weights = array.map(weight);
+    const total = weights.reduce((t, w) => t + w, 0);
+    if ( !(total > 0) ) return this.choice(array);
+    let r = this.random() * total;
+    let last;
+    for ( let [i, w] of weights.entries() ) {
+      if ( !(w > 0) ) continue;
+      r -= w;
+      last = array[i];
+      if ( r < 0 ) break;
+    }
+    return last;
+  }
+}
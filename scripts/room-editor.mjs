@@ -0,0 +1,411 @@
+import constants from "./constants.mjs";
+import RoomAnalyzer from "./analyzer.mjs";
+import Room from "./room.mjs";
+import Tileset from "./tileset.mjs";
+import TilesetValidator from "./validator.mjs";
+
+/**
+ * An application used to author the configuration of a Room.
+ * The room image is opened as a Scene, where the walls of the room are drawn using the normal wall tools, while the
+ * edges of the room are toggled by clicking the boundary cells which surround the image in this editor.
+ * The editor validates the room as it changes, and saves the room configuration into the config folder of its Tileset.
+ */
+export default class RoomEditor extends FormApplication {
+    constructor(object={}, options={}) {
+        super(object, options);
+
+        // Resume editing the room of the viewed Scene, if it is a room editing Scene
+        const state = canvas.scene?.getFlag(constants.moduleName, RoomEditor.FLAG);
+        if ( state ) {
+            this.scene = canvas.scene;
+            this.tilesetName = state.tileset;
+            this.room = state.room;
+        }
+        else {
+            this.scene = null;
+            this.tilesetName = "dungeon";
+            this.room = null;
+        }
+
+        // Validate the room again whenever the walls, lights or sounds of the room Scene change
+        this._onChangeWalls = scene => {
+            if ( scene === this.scene ) this.render();
+        };
+        for ( let hook of RoomEditor.HOOKS ) Hooks.on(hook, this._onChangeWalls);
+    }
+
+    /**
+     * The flag key under which the Room being edited is recorded on its Scene
+     * @type {string}
+     */
+    static FLAG = "roomEditor";
+
+    /**
+     * The hooks which signal a change to the contents of the room Scene
+     * @type {string[]}
+     */
+    static HOOKS = ["Wall", "AmbientLight", "AmbientSound"].flatMap(e => ["create", "update", "delete"].map(a => a + e));
+
+    /**
+     * The labels of the directions of each side of a room
+     * @type {Object<string, string>}
+     */
+    static SIDES = {
+        n: "North",
+        e: "East",
+        s: "South",
+        w: "West"
+    };
+
+    /** @override */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "dungeon-room-editor",
+            title: "Room Editor",
+            template: constants.modulePath + '/templates/room-editor.html',
+            classes: ["sheet"],
+            width: 420,
+            height: "auto",
+            closeOnSubmit: false,
+            submitOnClose: false
+        });
+    }
+
+    /**
+     * The Tileset which contains the Room being edited
+     * @type {Tileset|undefined}
+     */
+    get tileset() {
+        return Tileset.registry.get(this.tilesetName);
+    }
+
+    /** @override */
+    async getData(options) {
+        const tilesets = (await Tileset.discover()).reduce((obj, t) => {
+            obj[t.name] = t.title;
+            return obj;
+        }, {});
+        const tileset = this.tileset;
+        const rooms = (tileset?.rooms ?? []).reduce((obj, r) => {
+            obj[r.name] = r.name;
+            return obj;
+        }, {"": "New Room from Image"});
+        const validation = this.room ? this.validate() : {errors: [], warnings: [], mismatches: []};
+        return {
+            tilesets: tilesets,
+            tileset: this.tilesetName,
+            rooms: rooms,
+            isEditing: !!this.room,
+            room: this.room,
+            encounters: mergeObject({"": "Any Encounter"}, Room.ENCOUNTERS, {inplace: false}),
+            stairs: mergeObject({"": "No Stairs"}, Room.STAIRS, {inplace: false}),
+            roles: mergeObject({"": "No Role"}, Room.ROLES, {inplace: false}),
+            img: this.scene?.data.img ?? "",
+            edges: this.room ? this._getEdgeCells(validation.mismatches) : [],
+            gridColumns: (tileset?.roomSize ?? 0) + 2,
+            errors: validation.errors,
+            warnings: validation.warnings,
+            canSave: !!this.room && !validation.errors.length
+        };
+    }
+
+    /**
+     * Prepare the boundary cells which surround the room image, positioned around a grid which is one cell larger than
+     * the room on every side. Edges of the north and south sides are ordered from west to east, and edges of the east
+     * and west sides from north to south.
+     * @param {EdgeMismatch[]} mismatches   Edges whose declared state does not match the walls of the room
+     * @return {object[]}
+     * @private
+     */
+    _getEdgeCells(mismatches=[]) {
+        const size = this.room.size;
+        const position = {
+            n: i => [1, i + 2],
+            e: i => [i + 2, size + 2],
+            s: i => [size + 2, i + 2],
+            w: i => [i + 2, 1]
+        };
+        const cells = [];
+        for ( let [d, label] of Object.entries(RoomEditor.SIDES) ) {
+            for ( let [i, e] of this.room.edges[d].entries() ) {
+                const [row, column] = position[d](i);
+                cells.push({
+                    side: d,
+                    index: i,
+                    row: row,
+                    column: column,
+                    type: e ? e.type : "",
+                    mismatch: mismatches.some(m => (m.side === d) && (m.index === i)),
+                    label: e ? e.type.charAt(0).toUpperCase() : "",
+                    title: `${label} ${i + 1}: ${e ? e.type : "closed"}`
+                });
+            }
+        }
+        return cells;
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('select[name="tileset"]').change(this._onChangeTileset.bind(this));
+        html.find('select[name="room"]').change(this._onChangeRoom.bind(this));
+        html.find('select[name="encounter"]').change(this._onChangeEncounter.bind(this));
+        html.find('select[name="stairs"]').change(this._onChangeStairs.bind(this));
+        html.find('select[name="role"]').change(this._onChangeRole.bind(this));
+        html.find(".room-edges .edge").click(this._onClickEdge.bind(this, 1));
+        html.find(".room-edges .edge").contextmenu(this._onClickEdge.bind(this, -1));
+        html.find('button[data-action="close-room"]').click(this._onCloseRoom.bind(this));
+        html.find('button[data-action="infer-edges"]').click(this._onInferEdges.bind(this));
+        html.find('button[data-action="validate-tileset"]').click(this._onValidateTileset.bind(this));
+    }
+
+    /**
+     * Change the Tileset which a room is authored for
+     * @param {Event} event - the change event
+     * @private
+     */
+    _onChangeTileset(event) {
+        this.tilesetName = event.currentTarget.value;
+        this.render();
+    }
+
+    /**
+     * Fill the image path of an existing room when it is chosen for editing
+     * @param {Event} event - the change event
+     * @private
+     */
+    _onChangeRoom(event) {
+        const room = this.tileset?.rooms.find(r => r.name === event.currentTarget.value);
+        event.currentTarget.form.img.value = room ? room.img : "";
+    }
+
+    /**
+     * Mark the kind of encounter which the room being edited holds
+     * @param {Event} event - the change event
+     * @private
+     */
+    async _onChangeEncounter(event) {
+        this.room.encounter = event.currentTarget.value || null;
+        await this.scene.setFlag(constants.moduleName, RoomEditor.FLAG, {tileset: this.tilesetName, room: this.room});
+        this.render();
+    }
+
+    /**
+     * Mark the kind of stairs which the room being edited contains
+     * @param {Event} event - the change event
+     * @private
+     */
+    async _onChangeStairs(event) {
+        this.room.stairs = event.currentTarget.value || null;
+        await this.scene.setFlag(constants.moduleName, RoomEditor.FLAG, {tileset: this.tilesetName, room: this.room});
+        this.render();
+    }
+
+    /**
+     * Mark the role which the room being edited plays in the dungeon
+     * @param {Event} event - the change event
+     * @private
+     */
+    async _onChangeRole(event) {
+        this.room.role = event.currentTarget.value || null;
+        await this.scene.setFlag(constants.moduleName, RoomEditor.FLAG, {tileset: this.tilesetName, room: this.room});
+        this.render();
+    }
+
+    /**
+     * Cycle a boundary cell through closed and each open edge type of the Tileset
+     * @param {number} step - the direction to cycle, 1 for left click or -1 for right click
+     * @param {MouseEvent} event - the click event
+     * @private
+     */
+    async _onClickEdge(step, event) {
+        event.preventDefault();
+        const {side, index} = event.currentTarget.dataset;
+        const edges = this.room.edges[side];
+        const options = [false, ...Array.from(this.tileset.connections.keys()).map(type => ({type}))];
+        const current = options.findIndex(o => (o === false) ? !edges[index] : (o.type === edges[index]?.type));
+        edges[index] = options[(current + step + options.length) % options.length];
+        await this.scene.setFlag(constants.moduleName, RoomEditor.FLAG, {tileset: this.tilesetName, room: this.room});
+        this.render();
+    }
+
+    /**
+     * Validate every room of the chosen Tileset and display the report
+     * @param {MouseEvent} event - the click event
+     * @private
+     */
+    async _onValidateTileset(event) {
+        event.preventDefault();
+        const tileset = this.tileset;
+        if ( !tileset ) return ui.notifications.error(`The requested tileset ${this.tilesetName} is not available.`);
+        const report = await new TilesetValidator(tileset).validate();
+        return TilesetValidator.showReport(report);
+    }
+
+    /**
+     * Replace the edges of the room with the edges which are inferred from the walls drawn on its Scene
+     * @param {MouseEvent} event - the click event
+     * @private
+     */
+    async _onInferEdges(event) {
+        event.preventDefault();
+        const analyzer = new RoomAnalyzer(new Room(this.getRoomData(), this.tileset));
+        this.room.edges = analyzer.inferEdges();
+        await this.scene.setFlag(constants.moduleName, RoomEditor.FLAG, {tileset: this.tilesetName, room: this.room});
+        this.render();
+    }
+
+    /**
+     * Stop editing the current room without saving it
+     * @param {MouseEvent} event - the click event
+     * @private
+     */
+    _onCloseRoom(event) {
+        event.preventDefault();
+        this.scene = this.room = null;
+        this.render();
+    }
+
+    /**
+     * Open a room image as a Scene so that its walls and edges can be edited.
+     * The Scene of a room which is already being edited is reused, otherwise a new Scene is created which contains the
+     * walls and edges of the existing room configuration, if any.
+     * @param {string} img - the path of the room image
+     * @param {string} [name] - the name of an existing room to edit
+     * @return {Promise<Scene>}
+     */
+    async openRoom(img, name) {
+        const tileset = this.tileset;
+        if ( !tileset ) throw new Error(`The requested tileset ${this.tilesetName} is not available.`);
+        if ( !img ) throw new Error("A room image must be chosen to edit a room.");
+        name = name || img.split("/").pop().replace(/\.[^.]+$/, "");
+        const existing = tileset.rooms.find(r => r.name === name);
+        const room = existing ? duplicate(existing.data) : {
+            name: name,
+            size: tileset.roomSize,
+            walls: [],
+            edges: Object.fromEntries(Room.DIRECTIONS.map(d => [d, Array.fromRange(tileset.roomSize).map(() => false)]))
+        };
+
+        // Find or create the room Scene
+        let scene = game.scenes.find(s => {
+            const state = s.getFlag(constants.moduleName, RoomEditor.FLAG);
+            return (state?.tileset === tileset.name) && (state?.room.name === name);
+        });
+        if ( !scene ) {
+            const {walls, lights=[], sounds=[], ...state} = room; // Walls, lights and sounds are read from the Scene itself
+            const s = tileset.roomSize * tileset.gridSize;
+            scene = await Scene.create({
+                name: `${tileset.title}: ${name}`,
+                img: img,
+                width: s,
+                height: s,
+                grid: tileset.gridSize,
+                padding: 0,
+                backgroundColor: "#000000",
+                walls: walls,
+                lights: lights,
+                sounds: sounds,
+                flags: {[constants.moduleName]: {[RoomEditor.FLAG]: {
+                    tileset: tileset.name,
+                    room: mergeObject(state, {walls: []}, {inplace: false})
+                }}}
+            });
+        }
+        await scene.view();
+        this.scene = scene;
+        this.room = scene.getFlag(constants.moduleName, RoomEditor.FLAG).room;
+        return scene;
+    }
+
+    /**
+     * Prepare the configuration of the room being edited, including the walls, lights and sounds which are placed on its
+     * Scene. Lights and sounds become anchors in the coordinates of the room, which are transformed with the room tile.
+     * @return {RoomData}
+     */
+    getRoomData() {
+        const data = mergeObject(this.room, {
+            walls: duplicate(this.scene.data.walls)
+        }, {inplace: false});
+        if ( !data.encounter ) delete data.encounter;
+        if ( !data.stairs ) delete data.stairs;
+        if ( !data.role ) delete data.role;
+        for ( let k of ["lights", "sounds"] ) {
+            const anchors = this.scene.data[k].map(d => {
+                const {_id, t, ...anchor} = duplicate(d);
+                return anchor;
+            });
+            if ( anchors.length ) data[k] = anchors;
+            else delete data[k];
+        }
+        return data;
+    }
+
+    /**
+     * Validate the configuration of the room being edited against the rules of its Tileset.
+     * The room image is only checked to be saved where the generator expects it, while its dimensions are checked when
+     * the whole Tileset is validated.
+     * @return {{errors: string[], warnings: string[], mismatches: EdgeMismatch[]}}
+     */
+    validate() {
+        const tileset = this.tileset;
+        const room = this.getRoomData();
+        const errors = [];
+        const warnings = [];
+        const s = room.size * tileset.gridSize;
+
+        // The room configuration must be valid for its Tileset
+        for ( let issue of new TilesetValidator(tileset).validateRoom(room) ) {
+            (issue.level === "error" ? errors : warnings).push(issue.message);
+        }
+
+        // The room image must be found where the generator expects it
+        const img = `${tileset.path}/tiles/${room.name}.${tileset.extension}`;
+        if ( this.scene.data.img !== img ) errors.push(`The room image must be saved as ${img}.`);
+        if ( (this.scene.data.width !== s) || (this.scene.data.height !== s) ) {
+            warnings.push(`The room Scene should measure ${s}×${s} pixels.`);
+        }
+
+        // Edges should match the walls drawn along the boundary of the room
+        const mismatches = (room.walls.length && !errors.length) ? new RoomAnalyzer(new Room(room, tileset)).getMismatches() : [];
+        for ( let m of mismatches ) {
+            const state = m.declared ? "open" : "closed";
+            warnings.push(`${RoomEditor.SIDES[m.side]} edge ${m.index + 1} is ${state} but the walls of the room suggest otherwise.`);
+        }
+        return {errors, warnings, mismatches};
+    }
+
+    /**
+     * Executes on form submission, either to open a room or to save the room being edited.
+     *
+     * @param {Event} event - the form submission event
+     * @param {object} data - the form data
+     */
+    async _updateObject(event, data) {
+        try {
+
+            // Open a room for editing
+            if ( !this.room ) {
+                this.tilesetName = data.tileset;
+                await this.openRoom(data.img, data.room);
+                return this.render();
+            }
+
+            // Save the room being edited
+            const {errors} = this.validate();
+            if ( errors.length ) return ui.notifications.error(errors[0]);
+            const room = await this.tileset.saveRoom(this.getRoomData());
+            ui.notifications.info(`Saved room ${room?.name ?? data.room} to the ${this.tileset.title} tileset.`);
+        } catch(err) {
+            ui.notifications.error(err.message);
+            throw err;
+        }
+        this.render();
+    }
+
+    /** @override */
+    async close(options) {
+        for ( let hook of RoomEditor.HOOKS ) Hooks.off(hook, this._onChangeWalls);
+        return super.close(options);
+    }
+}
@@ -1,7 +1,9 @@
+import {duplicate, range} from "./utils.mjs";
 
 /**
  * The configuration of an edge location.
- * An object represents a known "open" edge
+ * An object represents a known "open" edge, whose type determines which other edges it may connect to
+ * according to the connection rules of the Tileset
  * A false boolean represents a known "closed" edge
  * A null represents an unknown edge which may be either open or closed
  * @typedef {Object|boolean|null} EdgeData
@@ -16,6 +18,29 @@
  * @property {EdgeData[]} w
  */
 
+/**
+ * A light source placed within a room, such as a torch or brazier, in the local pixel coordinates of the room.
+ * Any other AmbientLight data, such as tintColor or tintAlpha, is copied to the exported light.
+ * @typedef {Object} LightAnchor
+ * @property {number} x               The local x-coordinate of the light in pixels
+ * @property {number} y               The local y-coordinate of the light in pixels
+ * @property {number} [dim]           The radius of dim light in grid distance units
+ * @property {number} [bright]        The radius of bright light in grid distance units
+ * @property {number} [angle=360]     The angle of emission in degrees
+ * @property {number} [rotation=0]    The direction of emission in degrees, which turns with the room
+ */
+
+/**
+ * An ambient sound placed within a room in the local pixel coordinates of the room.
+ * Any other AmbientSound data, such as easing, is copied to the exported sound.
+ * @typedef {Object} SoundAnchor
+ * @property {number} x               The local x-coordinate of the sound in pixels
+ * @property {number} y               The local y-coordinate of the sound in pixels
+ * @property {string} path            The path of the audio file
+ * @property {number} radius          The radius within which the sound is audible in grid distance units
+ * @property {number} [volume=0.5]    The volume of the sound
+ */
+
 /**
  * The configuration of a room.
  * @typedef {Object} RoomData
@@ -23,6 +48,17 @@
  * @property {number} size
  * @property {WallData[]} walls
  * @property {EdgeConstraints} edges
+ * @property {number} [weight=1]      The relative likelihood of the room being chosen when it fits a location
+ * @property {number} [min=0]         The minimum number of times the room should appear in each dungeon
+ * @property {number} [max]           The maximum number of times the room may appear in each dungeon
+ * @property {boolean} [unique=false] Whether the room may appear at most once in each dungeon
+ * @property {string} [encounter]     The kind of encounter which the room holds, one of Room.ENCOUNTERS
+ * @property {string} [stairs]        The stairs which the room contains, one of Room.STAIRS. Rooms with stairs are only
+ *                                    placed to connect the levels of a multi-level dungeon.
+ * @property {string} [role]          The role which the room plays in the dungeon, one of Room.ROLES. Rooms with a role
+ *                                    are only placed where their role belongs along the paths of the layout.
+ * @property {LightAnchor[]} [lights] Light sources placed within the room
+ * @property {SoundAnchor[]} [sounds] Ambient sounds placed within the room
  */
 
 /**
@@ -41,6 +77,37 @@ export default class Room {
    */
   static DIRECTIONS = ["n", "e", "s", "w"];
 
+  /**
+   * The kinds of encounter which a room may be marked to hold when a dungeon is populated, and their labels.
+   * A room which is not marked may hold any encounter.
+   * @type {Object<string, string>}
+   */
+  static ENCOUNTERS = {
+    empty: "Empty",
+    "guard post": "Guard Post",
+    lair: "Lair"
+  };
+
+  /**
+   * The kinds of stairs which a room may contain, and their labels
+   * @type {Object<string, string>}
+   */
+  static STAIRS = {
+    up: "Stairs Up",
+    down: "Stairs Down"
+  };
+
+  /**
+   * The roles which a room may play in the dungeon, and their labels
+   * @type {Object<string, string>}
+   */
+  static ROLES = {
+    entrance: "Entrance",
+    boss: "Boss",
+    treasure: "Treasure",
+    shrine: "Shrine"
+  };
+
   /* -------------------------------------------- */
   /*  Room Properties                             */
   /* -------------------------------------------- */
@@ -53,22 +120,106 @@ export default class Room {
     return this.data.name;
   }
 
+  /**
+   * The relative likelihood of the room being chosen among other rooms which fit the same location.
+   * @type {number}
+   */
+  get weight() {
+    const w = Number(this.data.weight ?? 1);
+    return Number.isFinite(w) ? Math.max(w, 0) : 1;
+  }
+
+  /**
+   * The minimum number of times the room should appear in each dungeon.
+   * @type {number}
+   */
+  get minCount() {
+    return Math.max(Number(this.data.min) || 0, 0);
+  }
+
+  /**
+   * The maximum number of times the room may appear in each dungeon.
+   * @type {number}
+   */
+  get maxCount() {
+    if ( this.data.unique ) return 1;
+    const max = Number(this.data.max);
+    return Number.isFinite(max) && (max >= 0) ? max : Infinity;
+  }
+
+  /**
+   * The kind of encounter which the room holds when a dungeon is populated, if it is marked.
+   * @type {string|null}
+   */
+  get encounter() {
+    return this.data.encounter in Room.ENCOUNTERS ? this.data.encounter : null;
+  }
+
+  /**
+   * The kind of stairs which the room contains, one of Room.STAIRS, or null if it has none.
+   * @type {string|null}
+   */
+  get stairs() {
+    return this.data.stairs in Room.STAIRS ? this.data.stairs : null;
+  }
+
+  /**
+   * The role which the room plays in the dungeon, one of Room.ROLES, or null if it has none.
+   * @type {string|null}
+   */
+  get role() {
+    return this.data.role in Room.ROLES ? this.data.role : null;
+  }
+
+  /**
+   * The number of grid spaces along each side of the room.
+   * @type {number}
+   */
+  get size() {
+    return this.data.size ?? this.tileset.roomSize;
+  }
+
+  /**
+   * The size in pixels of each grid space of the room.
+   * @type {number}
+   */
+  get gridSize() {
+    return this.tileset.gridSize;
+  }
+
+  /**
+   * The size in pixels of each side of the room.
+   * @type {number}
+   */
+  get pixelSize() {
+    return this.size * this.gridSize;
+  }
+
+  /**
+   * The number of grid spaces at either end of each side which are considered to be part of a corner.
+   * The remaining spaces in the middle of each side are considered to be part of the center.
+   * @type {number}
+   */
+  get cornerSize() {
+    return Math.floor(this.size / 3);
+  }
+
   /**
    * The URL path to the image asset for this room
    * @type {string}
    */
   get img() {
-    return `${this.tileset.path}/tiles/${this.name}.webp`;
+    return `${this.tileset.path}/tiles/${this.name}.${this.tileset.extension}`;
   }
 
   /**
-   * The number of open edges that a Room has
+   * The number of open edges that a Room has which are able to connect to another edge of the Tileset
    * @type {number}
    */
   get nOpen() {
     const edges = Object.values(this.data.edges).flat();
     return edges.reduce((n, e) => {
-      if ( (e !== false) && !!e.type ) return n+1;
+      if ( !!e && this.tileset.isConnectable(e.type) ) return n+1;
       return n;
     }, 0);
   }
@@ -78,8 +229,9 @@ export default class Room {
    * @returns {boolean}
    */
   get hasCenterOpen() {
+    const c = this.cornerSize;
     for ( let edges of Object.values(this.data.edges) ) {
-      const center = edges.slice(3,6);
+      const center = edges.slice(c, this.size - c);
       if ( center.some(e => !!e) ) return true;
     }
   }
@@ -89,10 +241,11 @@ export default class Room {
    * @returns {boolean}
    */
   get hasCornerOpen() {
+    const c = this.cornerSize;
     for ( let edges of Object.values(this.data.edges) ) {
-      const c1 = edges.slice(0,3);
+      const c1 = edges.slice(0, c);
       if ( c1.some(e => !!e) ) return true;
-      const c2 = edges.slice(6,9);
+      const c2 = edges.slice(this.size - c);
       if ( c2.some(e => !!e) ) return true;
     }
   }
@@ -165,49 +318,80 @@ export default class Room {
 
   /* -------------------------------------------- */
 
+  /**
+   * Rotate the walls of the room data clockwise to match a rotated permutation
+   * @param {string} direction          The desired direction of rotation
+   * @param {RoomData} data             A permutation of Room Data
+   * @private
+   */
   _rotateWalls(direction, data) {
-    const directions = Room.DIRECTIONS;
-    const rotations = directions.indexOf(direction);
-    const walls = duplicate(data.walls);
+    data.walls = this._transformWalls(data.walls, (x, y) => this.transformPoint(x, y, direction));
+  }
 
-    for ( let [i, d] of directions.entries() ) {
-      const x = (i + rotations) % 4;
-      let rotationIndex = directions.indexOf(d);
+  /* -------------------------------------------- */
 
-      let rotatedWalls = [];
+  /**
+   * Transform both endpoints of every wall
+   * @param {object[]} walls            The Wall data to transform
+   * @param {Function} transform        A function which maps the x and y coordinates of a point to a transformed point
+   * @returns {object[]}                The transformed Wall data
+   * @private
+   */
+  _transformWalls(walls, transform) {
+    return walls.map(wall => {
+      const transformed = duplicate(wall);
+      const point1 = transform(wall.c[0], wall.c[1]);
+      const point2 = transform(wall.c[2], wall.c[3]);
+      transformed.c = [point1.x, point1.y, point2.x, point2.y];
+      return transformed;
+    });
+  }
 
-      // Already good to go
-      if (rotationIndex == 0) {
-        rotatedWalls = walls;
-      }
-      else {
-        for (let wallIndex = 0; wallIndex < walls.length; wallIndex++) {
-          let wall = walls[wallIndex];
-          let rotatedWall = duplicate(wall);
-
-          for (let numOfRotations = 0; numOfRotations < rotationIndex; numOfRotations++) {
-            let point1 = this._rotatePointClockwise(rotatedWall.c[0], rotatedWall.c[1]);
-            let point2 = this._rotatePointClockwise(rotatedWall.c[2], rotatedWall.c[3]);
-            rotatedWall.c[0] = point1.x;
-            rotatedWall.c[1] = point1.y;
-            rotatedWall.c[2] = point2.x;
-            rotatedWall.c[3] = point2.y;
-          }
-
-          rotatedWalls.push(rotatedWall);
-        }
-      }
+  /* -------------------------------------------- */
 
-      data.walls[d] = rotatedWalls;
+  /**
+   * Transform a point in the local coordinate space of the room using the same mirroring and rotation as transform().
+   * @param {number} x                  The local x-coordinate of the point in pixels
+   * @param {number} y                  The local y-coordinate of the point in pixels
+   * @param {string} direction          The cardinal direction to rotate
+   * @param {boolean} flipHorizontal    Whether to mirror horizontally
+   * @param {boolean} flipVertical      Whether to mirror vertically
+   * @returns {{x: number, y: number}}  The transformed point
+   */
+  transformPoint(x, y, direction, flipHorizontal=false, flipVertical=false) {
+    let point = {x, y};
+    if ( flipHorizontal ) point = this._flipPointHorizontally(point.x, point.y);
+    if ( flipVertical ) point = this._flipPointVertically(point.x, point.y);
+    const rotations = Room.DIRECTIONS.indexOf(direction);
+    for ( let i = 0; i < rotations; i++ ) {
+      point = this._rotatePointClockwise(point.x, point.y);
     }
+    return point;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Transform a direction in the local coordinate space of the room using the same mirroring and rotation as
+   * transform(). Directions are measured in degrees clockwise from south, as the rotation of a token or light is.
+   * @param {number} angle              The local direction in degrees
+   * @param {string} direction          The cardinal direction to rotate
+   * @param {boolean} flipHorizontal    Whether to mirror horizontally
+   * @param {boolean} flipVertical      Whether to mirror vertically
+   * @returns {number}                  The transformed direction in degrees, between 0 and 360
+   */
+  transformAngle(angle, direction, flipHorizontal=false, flipVertical=false) {
+    if ( flipHorizontal ) angle = -angle;
+    if ( flipVertical ) angle = 180 - angle;
+    angle += Room.DIRECTIONS.indexOf(direction) * 90;
+    return ((angle % 360) + 360) % 360;
   }
 
   /* -------------------------------------------- */
 
-  // X, Y -> 1800 (Max Y) - Y, X
+  // X, Y -> Max Y - Y, X
   _rotatePointClockwise(x, y) {
-    // TODO: Don't hardcode the max
-    return { x: 1800 - y, y: x };
+    return { x: this.pixelSize - y, y: x };
   }
 
   /* -------------------------------------------- */
@@ -223,59 +407,18 @@ export default class Room {
     data.edges.e = edges.w;
     data.edges.s = edges.s.reverse();
     data.edges.w = edges.e;
+    data.walls = this._transformWalls(data.walls, (x, y) => this._flipPointHorizontally(x, y));
     data.mirrorX = !data.mirrorX;
   }
 
-  _flipWallsHorizontally(walls) {
-    let flippedWalls = [];
-
-    for (let wallIndex = 0; wallIndex < walls.length; wallIndex++) {
-      let wall = walls[wallIndex];
-      let flippedWall = duplicate(wall);
-
-      let point1 = this._flipPointHorizontally(flippedWall.c[0], flippedWall.c[1]);
-      let point2 = this._flipPointHorizontally(flippedWall.c[2], flippedWall.c[3]);
-      flippedWall.c[0] = point1.x;
-      flippedWall.c[1] = point1.y;
-      flippedWall.c[2] = point2.x;
-      flippedWall.c[3] = point2.y;
-
-      flippedWalls.push(flippedWall);
-    }
-
-    return flippedWalls;
-  }
-
-  _flipWallsVertically(walls) {
-    let flippedWalls = [];
-
-    for (let wallIndex = 0; wallIndex < walls.length; wallIndex++) {
-      let wall = walls[wallIndex];
-      let flippedWall = duplicate(wall);
-
-      let point1 = this._flipPointVertically(flippedWall.c[0], flippedWall.c[1]);
-      let point2 = this._flipPointVertically(flippedWall.c[2], flippedWall.c[3]);
-      flippedWall.c[0] = point1.x;
-      flippedWall.c[1] = point1.y;
-      flippedWall.c[2] = point2.x;
-      flippedWall.c[3] = point2.y;
-
-      flippedWalls.push(flippedWall);
-    }
-
-    return flippedWalls;
-  }
-
-   // X, Y -> 1800 (Max X) - X, Y
-   _flipPointHorizontally(x, y) {
-    // TODO: Don't hardcode the max
-    return { x: 1800 - x, y: y };
+  // X, Y -> Max X - X, Y
+  _flipPointHorizontally(x, y) {
+    return { x: this.pixelSize - x, y: y };
   }
 
-  // X, Y -> X, 1800 (Max Y) - Y
+  // X, Y -> X, Max Y - Y
   _flipPointVertically(x, y) {
-    // TODO: Don't hardcode the max
-    return { x: x, y: 1800 - y };
+    return { x: x, y: this.pixelSize - y };
   }
 
   /* -------------------------------------------- */
@@ -290,7 +433,8 @@ export default class Room {
     data.edges.n = edges.s;
     data.edges.e = edges.e.reverse();
     data.edges.s = edges.n;
-    data.edges.w = edges.e.reverse();
+    data.edges.w = edges.w.reverse();
+    data.walls = this._transformWalls(data.walls, (x, y) => this._flipPointVertically(x, y));
     data.mirrorY = !data.mirrorY;
   }
 
@@ -315,11 +459,16 @@ export default class Room {
 
   /* -------------------------------------------- */
 
-  static getBlankPermutation() {
-    const edges = Array.fromRange(9).map(n => false);
+  /**
+   * Prepare a permutation of Room Data which represents an empty space with every edge closed
+   * @param {number} [size=9]     The number of grid spaces along each side of the room
+   * @returns {RoomData}
+   */
+  static getBlankPermutation(size=9) {
+    const edges = range(size).map(n => false);
     return {
       name: "Blank",
-      size: 9,
+      size: size,
       walls: [],
       edges: {
         n: edges,
@@ -336,6 +485,35 @@ export default class Room {
 
   /* -------------------------------------------- */
 
+  /**
+   * Get a signature string which identifies the configuration of one side of edges
+   * @param {EdgeData[]} edges      The edges of one side of a room
+   * @returns {string}              The edge signature
+   */
+  static getEdgeSignature(edges) {
+    return edges.map(e => e ? (e.type ?? "?") : "-").join("|");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get a key which identifies the configuration of a permutation, such that two permutations of the same Room which
+   * have an identical key are indistinguishable from each other once placed.
+   * @param {RoomData} data         A permutation of Room Data
+   * @returns {string}              The identifying key
+   */
+  static getPermutationKey(data) {
+    const edges = Room.DIRECTIONS.map(d => Room.getEdgeSignature(data.edges[d]));
+    const walls = data.walls.map(w => {
+      let [x0, y0, x1, y1] = w.c;
+      if ( (x1 < x0) || ((x1 === x0) && (y1 < y0)) ) [x0, y0, x1, y1] = [x1, y1, x0, y0];
+      return [x0, y0, x1, y1, w.move, w.sense, w.door].join(",");
+    }).sort();
+    return [data.name, ...edges, ...walls].join(";");
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Return an array of the cardinal directions which this Room has open?
    * @returns {string[]}
@@ -0,0 +1,322 @@
+import constants from "./constants.mjs";
+
+/**
+ * The Scene data which is recorded before a generated layout is applied to an existing Scene, so that it can be reverted.
+ * @typedef {Object} SceneSnapshot
+ * @property {number} width           The previous width of the Scene in pixels
+ * @property {number} height          The previous height of the Scene in pixels
+ * @property {number} grid            The previous grid size of the Scene in pixels
+ * @property {number} padding         The previous padding of the Scene
+ * @property {string} backgroundColor The previous background color of the Scene
+ * @property {object[]} tiles         The previous Tile data of the Scene
+ * @property {object[]} walls         The previous Wall data of the Scene
+ * @property {object[]} tokens        The previous Token data of the Scene
+ * @property {object[]} lights        The previous AmbientLight data of the Scene
+ * @property {object[]} sounds        The previous AmbientSound data of the Scene
+ * @property {object[]} notes         The previous Note data of the Scene
+ * @property {object} flags           The previous flags of this module on the Scene
+ */
+
+/**
+ * Apply a generated dungeon configuration to a Scene of the World.
+ * A configuration may create a new Scene, replace the contents of an existing Scene, or be merged into an existing Scene
+ * at an offset. The previous contents of an existing Scene are recorded as a snapshot so that the change can be reverted.
+ * @param {object} configuration      The Scene configuration produced by a Generator
+ */
+export default class SceneBuilder {
+  constructor(configuration) {
+    this.configuration = configuration;
+  }
+
+  /**
+   * The ways in which a configuration can be applied to a Scene
+   * @type {Object<string, string>}
+   */
+  static TARGETS = {
+    create: "Create a New Scene",
+    replace: "Replace the Current Scene",
+    merge: "Merge into the Current Scene"
+  };
+
+  /**
+   * The flag key under which the previous contents of a Scene are recorded
+   * @type {string}
+   */
+  static SNAPSHOT_FLAG = "snapshot";
+
+  /**
+   * The largest dimension of a generated Scene thumbnail in pixels
+   * @type {number}
+   */
+  static THUMBNAIL_SIZE = 300;
+
+  /* -------------------------------------------- */
+
+  /**
+   * Apply the configuration to a Scene using one of the SceneBuilder.TARGETS
+   * @param {string} target                 The key of the target, one of SceneBuilder.TARGETS
+   * @param {object} [options]              Options which are passed on to the chosen method
+   * @return {Promise<Scene>}               The created or updated Scene
+   */
+  async commit(target, options={}) {
+    switch ( target ) {
+      case "create":
+        return this.create(options);
+      case "replace":
+        return this.replace(options.scene);
+      case "merge":
+        return this.merge(options.scene, options);
+      default:
+        throw new Error(`Unknown scene target "${target}"`);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create a new Scene which contains the generated layout
+   * @param {object} [options]
+   * @param {string} [options.name]         The name of the new Scene
+   * @param {string} [options.folder]       The ID of a Folder which should contain the new Scene
+   * @param {boolean} [options.thumbnail=true]  Generate a thumbnail image of the layout for the new Scene
+   * @return {Promise<Scene>}               The created Scene
+   */
+  async create({name, folder, thumbnail=true}={}) {
+    const flags = this.configuration.flags[constants.moduleName];
+    const data = mergeObject(this.configuration, {
+      name: name || `Dungeon ${flags.seed}`,
+      folder: folder || null
+    }, {inplace: false});
+    if ( thumbnail ) data.thumb = await SceneBuilder.createThumbnail(this.configuration);
+    return Scene.create(data);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Replace the dimensions, tiles, walls, lights and sounds of an existing Scene with the generated layout, its tokens
+   * if the layout has been populated, and its notes if the layout has been keyed
+   * @param {Scene} [scene]                 The Scene to replace, by default the viewed Scene
+   * @return {Promise<Scene>}               The updated Scene
+   */
+  async replace(scene=canvas.scene) {
+    if ( !scene ) throw new Error("There is no Scene to replace");
+    const data = duplicate(this.configuration);
+    data.flags[constants.moduleName][SceneBuilder.SNAPSHOT_FLAG] = SceneBuilder.getSnapshotData(scene);
+    return scene.update(data);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add the tiles, walls, lights, sounds, tokens and notes of the generated layout to an existing Scene, keeping its
+   * current contents.
+   * The layout is scaled to the grid size of the Scene, and the Scene is enlarged if the layout does not fit within it.
+   * @param {Scene} [scene]                 The Scene to merge into, by default the viewed Scene
+   * @param {object} [options]
+   * @param {number} [options.x=0]          The horizontal offset of the layout, measured in grid spaces
+   * @param {number} [options.y=0]          The vertical offset of the layout, measured in grid spaces
+   * @return {Promise<Scene>}               The updated Scene
+   */
+  async merge(scene=canvas.scene, {x=0, y=0}={}) {
+    if ( !scene ) throw new Error("There is no Scene to merge into");
+    const config = this.configuration;
+    const grid = scene.data.grid;
+    const scale = grid / config.grid;
+    const dx = (Number(x) || 0) * grid;
+    const dy = (Number(y) || 0) * grid;
+
+    // Translate the layout to the grid and offset of the Scene, leaving the Scene to assign new IDs so that the layout
+    // cannot collide with the existing contents, or with another merge of the same layout
+    const tiles = config.tiles.map(({_id, ...t}) => mergeObject(t, {
+      x: (t.x * scale) + dx,
+      y: (t.y * scale) + dy,
+      width: t.width * scale,
+      height: t.height * scale
+    }, {inplace: false}));
+    const walls = config.walls.map(({_id, ...w}) => {
+      const [x0, y0, x1, y1] = w.c;
+      return mergeObject(w, {
+        c: [(x0 * scale) + dx, (y0 * scale) + dy, (x1 * scale) + dx, (y1 * scale) + dy]
+      }, {inplace: false});
+    });
+    const translate = ({_id, ...p}) => mergeObject(p, {x: (p.x * scale) + dx, y: (p.y * scale) + dy}, {inplace: false});
+    const tokens = (config.tokens ?? []).map(translate);
+    const lights = (config.lights ?? []).map(translate);
+    const sounds = (config.sounds ?? []).map(translate);
+    const notes = (config.notes ?? []).map(translate);
+
+    // Record the previous contents and append the layout
+    const flags = duplicate(config.flags[constants.moduleName]);
+    flags[SceneBuilder.SNAPSHOT_FLAG] = SceneBuilder.getSnapshotData(scene);
+    flags.offset = {x: dx, y: dy};
+    return scene.update({
+      width: Math.max(scene.data.width, dx + (config.width * scale)),
+      height: Math.max(scene.data.height, dy + (config.height * scale)),
+      tiles: scene.data.tiles.concat(tiles),
+      walls: scene.data.walls.concat(walls),
+      tokens: scene.data.tokens.concat(tokens),
+      lights: scene.data.lights.concat(lights),
+      sounds: scene.data.sounds.concat(sounds),
+      notes: scene.data.notes.concat(notes),
+      [`flags.${constants.moduleName}`]: flags
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Record the contents of a Scene which are changed when a generated layout is applied to it
+   * @param {Scene} scene                   The Scene to record
+   * @return {SceneSnapshot}                The recorded snapshot
+   */
+  static getSnapshotData(scene) {
+    const data = scene.data;
+    const flags = duplicate(data.flags[constants.moduleName] ?? {});
+    delete flags[SceneBuilder.SNAPSHOT_FLAG];
+    return {
+      width: data.width,
+      height: data.height,
+      grid: data.grid,
+      padding: data.padding,
+      backgroundColor: data.backgroundColor,
+      tiles: duplicate(data.tiles),
+      walls: duplicate(data.walls),
+      tokens: duplicate(data.tokens),
+      lights: duplicate(data.lights),
+      sounds: duplicate(data.sounds),
+      notes: duplicate(data.notes),
+      flags: flags
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Test whether a Scene has a snapshot of contents which were replaced by a generated layout
+   * @param {Scene} [scene]                 The Scene to test
+   * @return {boolean}
+   */
+  static canRevert(scene) {
+    return !!scene?.getFlag(constants.moduleName, SceneBuilder.SNAPSHOT_FLAG);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Restore the contents of a Scene from the snapshot which was recorded before a generated layout was applied to it.
+   * The Actors which were imported to populate the layout and the journal entries which were written to key it are
+   * deleted, unless the previous layout also recorded them.
+   * @param {Scene} [scene]                 The Scene to revert, by default the viewed Scene
+   * @return {Promise<Scene>}               The updated Scene
+   */
+  static async revert(scene=canvas.scene) {
+    const snapshot = scene?.getFlag(constants.moduleName, SceneBuilder.SNAPSHOT_FLAG);
+    if ( !snapshot ) throw new Error("There is no previous layout to revert this Scene to");
+    const {flags, ...data} = snapshot;
+    const created = SceneBuilder.getCreatedDocuments(scene.data.flags[constants.moduleName]);
+    const kept = SceneBuilder.getCreatedDocuments(flags);
+
+    // Restore the previous flags of this module, removing any which were added by the generated layout
+    const scope = `flags.${constants.moduleName}`;
+    for ( let k of Object.keys(scene.data.flags[constants.moduleName]) ) {
+      if ( !(k in flags) ) data[`${scope}.-=${k}`] = null;
+    }
+    for ( let [k, v] of Object.entries(flags) ) {
+      data[`${scope}.${k}`] = v;
+    }
+    const updated = await scene.update(data);
+
+    // Delete the documents which were created for the generated layout
+    for ( let [k, ids] of Object.entries(created) ) {
+      created[k] = ids.filter(id => !kept[k].includes(id));
+    }
+    await SceneBuilder.deleteDocuments(created);
+    return updated;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the World documents which were created for a generated layout, as recorded in the flags of its configuration
+   * @param {object} [flags]                The flags of this module on a configuration or Scene
+   * @return {{actors: string[], entries: string[], folders: string[]}}   The IDs of the imported Actors, and of the
+   *                                        JournalEntries and Folders of the room key
+   */
+  static getCreatedDocuments(flags={}) {
+    return {
+      actors: flags.importedActors ?? [],
+      entries: flags.journal?.entries ?? [],
+      folders: flags.journal ? [flags.journal.folder] : []
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Delete World documents which were created for a generated layout.
+   * Documents which no longer exist are skipped, as are Actors whose tokens are still placed in any Scene.
+   * @param {object} documents
+   * @param {string[]} [documents.actors]   The IDs of Actors to delete
+   * @param {string[]} [documents.entries]  The IDs of JournalEntries to delete
+   * @param {string[]} [documents.folders]  The IDs of Folders to delete, after the entries which they contain
+   * @return {Promise<void>}
+   */
+  static async deleteDocuments({actors=[], entries=[], folders=[]}={}) {
+    const isPlaced = id => game.scenes.entities.some(s => s.data.tokens.some(t => t.actorId === id));
+    actors = actors.filter(id => game.actors.has(id) && !isPlaced(id));
+    entries = entries.filter(id => game.journal.has(id));
+    folders = folders.filter(id => game.folders.has(id));
+    if ( actors.length ) await Actor.delete(actors);
+    if ( entries.length ) await JournalEntry.delete(entries);
+    if ( folders.length ) await Folder.delete(folders);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Render a thumbnail image of a generated layout by drawing each of its tiles with their rotation and mirroring
+   * @param {object} configuration          The Scene configuration produced by a Generator
+   * @return {Promise<string>}              The thumbnail image as a data URL
+   */
+  static async createThumbnail(configuration) {
+    const scale = SceneBuilder.THUMBNAIL_SIZE / Math.max(configuration.width, configuration.height);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(configuration.width * scale);
+    canvas.height = Math.ceil(configuration.height * scale);
+    const context = canvas.getContext("2d");
+    context.fillStyle = configuration.backgroundColor;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Draw each tile about its center, mirroring before rotating to match the Tile rendering on the canvas
+    const images = await Promise.all(configuration.tiles.map(t => SceneBuilder._loadImage(t.img)));
+    for ( let [i, t] of configuration.tiles.entries() ) {
+      const w = t.width * scale;
+      const h = t.height * scale;
+      context.save();
+      context.translate((t.x * scale) + (w / 2), (t.y * scale) + (h / 2));
+      context.rotate(toRadians(t.rotation));
+      context.scale(t.mirrorX ? -1 : 1, t.mirrorY ? -1 : 1);
+      context.drawImage(images[i], -w / 2, -h / 2, w, h);
+      context.restore();
+    }
+    return canvas.toDataURL("image/webp", 0.8);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Load an image element from a source path
+   * @param {string} src                    The image source path
+   * @return {Promise<HTMLImageElement>}    The loaded image
+   * @private
+   */
+  static _loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Failed to load tile image ${src}`));
+      img.src = src;
+    });
+  }
+}
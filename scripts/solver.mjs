@@ -0,0 +1,396 @@
+import Room from "./room.mjs";
+import {between, range} from "./utils.mjs";
+
+/**
+ * An error raised when the constraints of a requested layout can never be satisfied by the rooms of a Tileset.
+ * @param {string} message      A description of the reason the layout is impossible
+ */
+export class ImpossibleLayoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImpossibleLayoutError";
+  }
+}
+
+/**
+ * A layout solver which tracks the remaining candidate permutations for every location of the layout and propagates
+ * the edge constraints of each placement to its neighbors, in the style of wave function collapse.
+ *
+ * The layout grows outwards from a starting location. At each step the most constrained location which must contain a
+ * room is collapsed to a single permutation, and the constraints of that choice are propagated throughout the layout.
+ * Once no location requires a room, every remaining location is left blank. If propagation leaves any location without
+ * candidates, the solver backtracks to the previous choice and excludes it.
+ *
+ * @param {Generator} generator     The Generator which configures the layout to solve
+ */
+export default class LayoutSolver {
+  constructor(generator) {
+    this.generator = generator;
+    this.columns = generator.columns;
+    this.rows = generator.rows;
+    this.tileset = generator.tileset;
+
+    /**
+     * Every permutation which may be placed, where the final candidate is the blank permutation
+     * @type {RoomData[]}
+     */
+    this.candidates = this._getCandidates();
+    this.blank = this.candidates.length - 1;
+
+    /**
+     * The edge signature of each side of every candidate, indexed by candidate then direction
+     * @type {Object<string, string>[]}
+     */
+    this.signatures = this.candidates.map(c => {
+      return c.signatures ?? Object.fromEntries(Room.DIRECTIONS.map(d => [d, Room.getEdgeSignature(c.edges[d])]));
+    });
+  }
+
+  /**
+   * The maximum number of times the solver may backtrack before the attempt is abandoned
+   * @type {number}
+   */
+  static MAX_BACKTRACKS = 250;
+
+  /**
+   * The direction which faces each cardinal direction
+   * @type {Object<string, string>}
+   */
+  static OPPOSITES = {n: "s", e: "w", s: "n", w: "e"};
+
+  /**
+   * The offset to the adjacent location in each cardinal direction
+   * @type {Object<string, number[]>}
+   */
+  static OFFSETS = {n: [0, -1], e: [1, 0], s: [0, 1], w: [-1, 0]};
+
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prepare the candidate permutations which may be placed at any location.
+   * Rooms with stairs or a role are excluded, since the Generator only places them once the layout is complete. The
+   * exception is the entrance role, which is a candidate for the first entrance so that the layout grows around it.
+   * @returns {RoomData[]}
+   * @private
+   */
+  _getCandidates() {
+    const hasEntrance = this.generator.entrances.length > 0;
+    const candidates = this.tileset.permutations.filter(p => {
+      if ( !(p.room.maxCount > 0) || p.room.stairs ) return false;
+      return !p.room.role || (hasEntrance && (p.room.role === "entrance"));
+    });
+    candidates.push(Room.getBlankPermutation(this.generator.roomSize));
+    return candidates;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Solve the layout.
+   * @returns {{layout: Array<Array<RoomData>>, placements: number[][]}|null}   The solved layout and the order in which
+   *                                                                          locations were placed, or null if the
+   *                                                                          solver gave up after too many backtracks
+   * @throws {ImpossibleLayoutError}    If the constraints of the layout can never be satisfied
+   */
+  solve() {
+    this._backtracks = 0;
+    this.state = {
+      domains: this._getInitialDomains(),
+      placements: [],
+      counts: new Map()
+    };
+
+    // Propagate the initial constraints of the layout boundary
+    const queue = range(this.columns * this.rows);
+    const empty = this.state.domains.findIndex(d => !d.length);
+    const failure = empty > -1 ? this._getCoordinates(empty) : this._propagate(queue);
+    if ( failure ) {
+      const [x, y] = failure;
+      throw new ImpossibleLayoutError(`No room of Tileset ${this.tileset.name} can be placed at location [${x}, ${y}] `
+        + "while satisfying the outer boundary and entrances of the layout");
+    }
+
+    // Collapse locations until none require a room
+    const stack = [];
+    let next = this._getNextLocation();
+    while ( next !== null ) {
+      const candidate = this._chooseCandidate(next);
+      stack.push({state: this._snapshot(), index: next, candidate});
+      let failure = this._collapse(next, candidate);
+
+      // Backtrack by excluding the choice which failed, retreating further if no alternatives remain
+      while ( failure ) {
+        if ( !stack.length ) {
+          const [x, y] = failure;
+          throw new ImpossibleLayoutError(`No room of Tileset ${this.tileset.name} can be placed at location [${x}, ${y}] `
+            + "after every alternative was explored");
+        }
+        if ( ++this._backtracks > LayoutSolver.MAX_BACKTRACKS ) return null;
+        const prior = stack.pop();
+        this.state = prior.state;
+        const domain = this.state.domains[prior.index].filter(c => c !== prior.candidate);
+        if ( !domain.length ) {
+          failure = this._getCoordinates(prior.index);
+          continue;
+        }
+        this.state.domains[prior.index] = domain;
+        failure = this._propagate([prior.index]);
+      }
+      next = this._getNextLocation();
+    }
+
+    // Any location which does not require a room remains blank
+    return this._getResult();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the initial candidates for each location, restricted by the outer boundary and entrances of the layout
+   * @returns {number[][]}
+   * @private
+   */
+  _getInitialDomains() {
+    const g = this.generator;
+    const all = range(this.candidates.length);
+    const closed = Room.getEdgeSignature(range(g.roomSize).map(() => false));
+    const domains = [];
+    for ( let y of range(this.rows) ) {
+      for ( let x of range(this.columns) ) {
+        let domain = all;
+        for ( let d of Room.DIRECTIONS ) {
+          const [dx, dy] = LayoutSolver.OFFSETS[d];
+          if ( this._getIndex(x + dx, y + dy) !== null ) continue;
+          const entrance = g.getEntrance(x, y, d);
+          const boundary = entrance ? Room.getEdgeSignature(g._getEntranceEdges()) : closed;
+          domain = domain.filter(c => this.tileset.areSignaturesCompatible(this.signatures[c][d], boundary));
+        }
+        domains[this._getIndex(x, y)] = domain;
+      }
+    }
+
+    // Rooms at entrances must also open into the layout, otherwise they would be isolated from the rest of the dungeon
+    for ( let {x, y} of g.entrances ) {
+      const i = this._getIndex(x, y);
+      const inward = Room.DIRECTIONS.filter(d => {
+        const [dx, dy] = LayoutSolver.OFFSETS[d];
+        return this._getIndex(x + dx, y + dy) !== null;
+      });
+      const open = domains[i].filter(c => inward.some(d => this.candidates[c].edges[d].some(e => !!e)));
+      if ( open.length ) domains[i] = open;
+    }
+
+    // The layout grows from a room at the starting location
+    const start = this._getStartIndex();
+    domains[start] = domains[start].filter(c => c !== this.blank);
+
+    // The entrance role may only be played at the first entrance, where it is preferred whenever it fits
+    const isEntrance = c => this.candidates[c].room?.role === "entrance";
+    for ( let [i, domain] of domains.entries() ) {
+      if ( i !== start ) domains[i] = domain.filter(c => !isEntrance(c));
+    }
+    const entrance = domains[start].filter(isEntrance);
+    if ( entrance.length ) domains[start] = entrance;
+    return domains;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the index of the location from which the layout grows, which is the first entrance or else the center
+   * @returns {number}
+   * @private
+   */
+  _getStartIndex() {
+    const entrance = this.generator.entrances[0];
+    if ( entrance ) return this._getIndex(entrance.x, entrance.y);
+    return this._getIndex(Math.floor(this.columns / 2), Math.floor(this.rows / 2));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the next location to collapse.
+   * The starting location is collapsed first. Afterwards, the location with the fewest remaining candidates among those
+   * which must contain a room is chosen, with ties broken at random.
+   * @returns {number|null}     The index of the next location, or null if no location requires a room
+   * @private
+   */
+  _getNextLocation() {
+    const {domains, placements} = this.state;
+    const start = this._getStartIndex();
+    if ( !placements.length ) return start;
+    let best = [];
+    let fewest = Infinity;
+    for ( let [i, domain] of domains.entries() ) {
+      if ( this._isCollapsed(i) || domain.includes(this.blank) ) continue;
+      if ( domain.length < fewest ) {
+        best = [i];
+        fewest = domain.length;
+      }
+      else if ( domain.length === fewest ) best.push(i);
+    }
+    return best.length ? this.generator.rng.choice(best) : null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Choose the candidate permutation to place at a location, using the weighted room choice of the Generator
+   * @param {number} index      The index of the location
+   * @returns {number}          The chosen candidate
+   * @private
+   */
+  _chooseCandidate(index) {
+    const domain = this.state.domains[index];
+    const rooms = domain.filter(c => c !== this.blank);
+    const permutations = (rooms.length ? rooms : domain).map(c => this.candidates[c]);
+    const chosen = this.generator._choosePermutation(permutations, this.state.counts);
+    return this.candidates.indexOf(chosen);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Collapse a location to a single candidate and propagate the consequences
+   * @param {number} index          The index of the location
+   * @param {number} candidate      The chosen candidate
+   * @returns {number[]|null}       The coordinates of a location left without candidates, or null if successful
+   * @private
+   */
+  _collapse(index, candidate) {
+    const {domains, placements, counts} = this.state;
+    domains[index] = [candidate];
+    placements.push(index);
+    const queue = [index];
+
+    // Exclude rooms which have reached their maximum count from every other location
+    const room = this.candidates[candidate].room;
+    if ( room ) {
+      const n = (counts.get(room) ?? 0) + 1;
+      counts.set(room, n);
+      if ( n >= room.maxCount ) {
+        for ( let [i, domain] of domains.entries() ) {
+          if ( this._isCollapsed(i) ) continue;
+          const remaining = domain.filter(c => this.candidates[c].room !== room);
+          if ( remaining.length === domain.length ) continue;
+          if ( !remaining.length ) return this._getCoordinates(i);
+          domains[i] = remaining;
+          queue.push(i);
+        }
+      }
+    }
+    return this._propagate(queue);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Propagate edge constraints outwards from a set of changed locations until every candidate of every location has a
+   * compatible candidate in each of its neighbors.
+   * @param {number[]} queue        The indices of locations whose candidates have changed
+   * @returns {number[]|null}       The coordinates of a location left without candidates, or null if successful
+   * @private
+   */
+  _propagate(queue) {
+    const domains = this.state.domains;
+    while ( queue.length ) {
+      const i = queue.pop();
+      const [x, y] = this._getCoordinates(i);
+      for ( let d of Room.DIRECTIONS ) {
+        const [dx, dy] = LayoutSolver.OFFSETS[d];
+        const j = this._getIndex(x + dx, y + dy);
+        if ( j === null ) continue;
+        const opposite = LayoutSolver.OPPOSITES[d];
+
+        // Determine which facing signatures remain possible for this location
+        const signatures = new Set(domains[i].map(c => this.signatures[c][d]));
+        const supported = new Map();
+        const isSupported = c => {
+          const s = this.signatures[c][opposite];
+          if ( !supported.has(s) ) {
+            supported.set(s, Array.from(signatures).some(t => this.tileset.areSignaturesCompatible(t, s)));
+          }
+          return supported.get(s);
+        };
+
+        // Remove unsupported candidates from the neighbor
+        const before = domains[j];
+        const after = before.filter(isSupported);
+        if ( after.length === before.length ) continue;
+        if ( !after.length ) return this._getCoordinates(j);
+        domains[j] = after;
+        queue.push(j);
+      }
+    }
+    return null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Record the current state so it can be restored when backtracking.
+   * Domains are replaced rather than modified, so only the outer array needs to be copied.
+   * @returns {object}
+   * @private
+   */
+  _snapshot() {
+    const {domains, placements, counts} = this.state;
+    return {domains: [...domains], placements: [...placements], counts: new Map(counts)};
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Has a location been collapsed to a chosen candidate?
+   * @param {number} index
+   * @returns {boolean}
+   * @private
+   */
+  _isCollapsed(index) {
+    return this.state.placements.includes(index);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Convert the solved state into a layout where every location which was not collapsed is blank
+   * @returns {{layout: Array<Array<RoomData>>, placements: number[][]}}
+   * @private
+   */
+  _getResult() {
+    const {domains, placements} = this.state;
+    const layout = range(this.columns).map(() => []);
+    for ( let [i, domain] of domains.entries() ) {
+      const [x, y] = this._getCoordinates(i);
+      const c = this._isCollapsed(i) ? domain[0] : this.blank;
+      layout[x][y] = this.candidates[c];
+    }
+    return {layout, placements: placements.map(i => this._getCoordinates(i))};
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the index of a location, or null if the location is outside the layout
+   * @param {number} x
+   * @param {number} y
+   * @returns {number|null}
+   * @private
+   */
+  _getIndex(x, y) {
+    if ( !between(x, 0, this.columns - 1) || !between(y, 0, this.rows - 1) ) return null;
+    return (y * this.columns) + x;
+  }
+
+  /**
+   * Get the coordinates of a location index
+   * @param {number} index
+   * @returns {number[]}
+   * @private
+   */
+  _getCoordinates(index) {
+    return [index % this.columns, Math.floor(index / this.columns)];
+  }
+}
@@ -0,0 +1,147 @@
+import Room from "./room.mjs";
+import constants from "./constants.mjs";
+
+/**
+ * Link the stairs of the Scenes of a multi-level dungeon, so that the party can move between levels.
+ * A map Note is placed on the stairs of each level which points to the matching stairs of the adjacent level. When a
+ * gamemaster activates such a Note, the tokens they control are moved to the matching stairs and the destination Scene
+ * is activated for every player. Players, and gamemasters who control no tokens, instead view the destination Scene
+ * at the matching stairs.
+ */
+export default class DungeonStairs {
+
+  /**
+   * The flag key under which the destination of a stairs Note is recorded
+   * @type {string}
+   */
+  static FLAG = "stairs";
+
+  /**
+   * The icon of the map Notes which are placed on the stairs of each level, for each kind of stairs
+   * @type {Object<string, string>}
+   */
+  static NOTE_ICONS = {
+    up: "icons/svg/upgrade.svg",
+    down: "icons/svg/downgrade.svg"
+  };
+
+  /* -------------------------------------------- */
+
+  /**
+   * Place a linked Note on the stairs of each level of a dungeon.
+   * Notes must open a JournalEntry, so an entry which describes the destination of the stairs is created for each Note.
+   * @param {Scene[]} scenes                The Scene of each level, in order of descent
+   * @param {object} [options]
+   * @param {string} [options.name]         The name of the JournalEntry folder which contains the stairs entries
+   * @returns {Promise<Scene[]>}            The updated Scenes
+   */
+  static async link(scenes, {name="Dungeon Stairs"}={}) {
+    const links = scenes.map(s => s.getFlag(constants.moduleName, "links") ?? []);
+    const folder = await Folder.create({name: name, type: "JournalEntry", parent: null});
+
+    // Create an entry which describes each link, readable by players so that they can see its Note
+    const data = [];
+    for ( let [i, scene] of scenes.entries() ) {
+      for ( let link of links[i] ) {
+        const destination = scenes[link.level - 1];
+        data.push({
+          name: `${scene.name}: ${Room.STAIRS[link.direction]}`,
+          folder: folder.id,
+          permission: {default: CONST.ENTITY_PERMISSIONS.LIMITED},
+          content: `<p>${Room.STAIRS[link.direction]} to @Scene[${destination.id}]{${destination.name}}.</p>`
+        });
+      }
+    }
+    const created = data.length ? await JournalEntry.create(data) : [];
+    const entries = Array.isArray(created) ? created : [created];
+
+    // Place a Note on the stairs of each level which records the destination of the stairs
+    let n = 0;
+    const updates = scenes.map((scene, i) => {
+      const notes = links[i].map(link => ({
+        entryId: entries[n++].id,
+        x: link.position.x,
+        y: link.position.y,
+        icon: DungeonStairs.NOTE_ICONS[link.direction],
+        text: Room.STAIRS[link.direction],
+        flags: {[constants.moduleName]: {[DungeonStairs.FLAG]: {
+          scene: scenes[link.level - 1].id,
+          x: link.destination.x,
+          y: link.destination.y
+        }}}
+      }));
+      return scene.update({notes: scene.data.notes.concat(notes)});
+    });
+    return Promise.all(updates);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Take the stairs which a Note points to
+   * @param {Note} note                     The stairs Note which was activated
+   * @returns {Promise<Scene>}              The destination Scene
+   */
+  static async travel(note) {
+    const {scene: id, x, y} = DungeonStairs.getDestination(note);
+    const scene = game.scenes.get(id);
+    if ( !scene ) throw new Error("The Scene which these stairs lead to no longer exists");
+    Hooks.once("canvasReady", () => canvas.animatePan({x, y}));
+
+    // Move the controlled tokens onto the grid spaces below the destination stairs
+    const tokens = canvas.tokens.controlled;
+    if ( game.user.isGM && tokens.length ) {
+      const g = scene.data.grid;
+      const data = tokens.map((t, i) => {
+        const {_id, ...token} = duplicate(t.data);
+        return mergeObject(token, {
+          x: x - (g / 2) + (((i % 3) - 1) * g),
+          y: y + (g / 2) + (Math.floor(i / 3) * g)
+        });
+      });
+      await scene.createEmbeddedEntity("Token", data);
+      await canvas.scene.deleteEmbeddedEntity("Token", tokens.map(t => t.id));
+      await scene.activate();
+    }
+    else await scene.view();
+    return scene;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the destination which a stairs Note points to
+   * @param {Note} note                     The Note to test
+   * @returns {{scene: string, x: number, y: number}|null}  The ID of the destination Scene and the pixel coordinates of
+   *                                        the matching stairs, or null if the Note is not a stairs Note
+   */
+  static getDestination(note) {
+    return getProperty(note.data, `flags.${constants.moduleName}.${DungeonStairs.FLAG}`) ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle the activation of a Note, taking the stairs if the Note is a stairs Note of a generated dungeon
+   * @param {Function} wrapped              The original handler of the Note class
+   * @param {Note} note                     The Note which was activated
+   * @param {Event} event                   The triggering event
+   * @private
+   */
+  static _onActivateNote(wrapped, note, event) {
+    if ( !DungeonStairs.getDestination(note) ) return wrapped.call(note, event);
+    return DungeonStairs.travel(note).catch(err => ui.notifications.error(err.message));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Take the stairs when a stairs Note is double clicked, instead of opening its JournalEntry
+   */
+  static registerNoteHandler() {
+    const wrapped = Note.prototype._onClickLeft2;
+    Note.prototype._onClickLeft2 = function(event) {
+      return DungeonStairs._onActivateNote(wrapped, this, event);
+    };
+  }
+}
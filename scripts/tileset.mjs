@@ -1,42 +1,384 @@
 import Room from "./room.mjs";
+import constants from "./constants.mjs";
+import {isNumeric, titleCase} from "./utils.mjs";
+
+/**
+ * The manifest which describes a Tileset, stored as tileset.json in the root folder of the tileset.
+ * @typedef {Object} TilesetManifest
+ * @property {string} name            The unique name of the tileset
+ * @property {string} [title]         A human readable title for the tileset
+ * @property {string} [author]        The author of the tileset
+ * @property {number} [gridSize=200]  The size in pixels of each grid space in the tileset images
+ * @property {number} [roomSize=9]    The number of grid spaces along each side of every room
+ * @property {string} [extension=webp]  The file extension of the room images in the tiles folder
+ * @property {Object<string, string[]>} [connections]  The edge types which each typed edge may connect to
+ * @property {RoomData[]} rooms       The configuration of every room in the tileset
+ */
 
 /**
  * The collection of Rooms which can be used in a generated dungeon
- * @param {string} name      The named tileset
+ * @param {string} name               The named tileset
+ * @param {object} options
+ * @param {string} [options.path]           The data path of the tileset folder, by default within this module
+ * @param {string} [options.title]          A human readable title for the tileset
+ * @param {string} [options.author]         The author of the tileset
+ * @param {number} [options.gridSize=200]   The size in pixels of each grid space in the tileset images
+ * @param {number} [options.roomSize=9]     The number of grid spaces along each side of every room
+ * @param {string} [options.extension=webp] The file extension of the room images
+ * @param {Object<string, string[]>} [options.connections]  The edge types which each typed edge may connect to
  */
 export default class Tileset {
-  constructor(name) {
+  constructor(name, {path, title, author, gridSize=200, roomSize=9, extension="webp", connections}={}) {
     this.name = name;
+    this.path = path ?? `${Tileset.MODULE_TILESETS_PATH}/${name}`;
+    this.title = title ?? titleCase(name);
+    this.author = author ?? "";
+    this.gridSize = gridSize;
+    this.roomSize = roomSize;
+    this.extension = extension;
+    this.connections = Tileset._prepareConnections(connections ?? Tileset.DEFAULT_CONNECTIONS);
     this.rooms = [];
   }
 
   /**
-   * The URL path to the location of assets for this tileset
+   * The data path of the folder which contains the tilesets provided by this module
    * @type {string}
    */
-  get path() {
-    return getRoute(`modules/dungeon-tilesets/tilesets/${this.name}`);
-  }
+  static MODULE_TILESETS_PATH = `${constants.modulePath}/tilesets`;
+
+  /**
+   * The file name of the manifest within each tileset folder
+   * @type {string}
+   */
+  static MANIFEST_FILE = "tileset.json";
+
+  /**
+   * The folder within each tileset folder which contains the configuration file of each room
+   * @type {string}
+   */
+  static CONFIG_FOLDER = "config";
+
+  /**
+   * The edge compatibility rules which are used by a tileset whose manifest does not declare its own
+   * @type {Object<string, string[]>}
+   */
+  static DEFAULT_CONNECTIONS = {
+    hallway: ["hallway", "door", "rubble"],
+    room: ["room"],
+    door: ["door", "hallway"],
+    water: ["water"],
+    rubble: ["rubble", "hallway"]
+  };
+
+  /**
+   * The tilesets which have been discovered, keyed by name
+   * @type {Map<string, Tileset>}
+   */
+  static registry = new Map();
+
+  /**
+   * Has discovery of installed tilesets already occurred?
+   * @type {boolean}
+   * @private
+   */
+  static _discovered = false;
 
   /* -------------------------------------------- */
 
   /**
-   * Initialize the Tileset, loading all available Rooms
+   * Initialize the Tileset, loading all available Rooms from its manifest with a single request
    * @returns {Promise<void>}
    */
   async initialize() {
-    const contents = await FilePicker.browse("data", `${this.path}/config`);
-    const configs = contents.files.filter(f => /.json$/.test(f));
-    for ( let c of configs ) {
-      const roomData = await fetch(c).then(r => r.json());
+    const manifest = await fetch(getRoute(`${this.path}/${Tileset.MANIFEST_FILE}`)).then(r => r.json());
+    this._loadManifest(manifest);
+    await this._removeMissingImages();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Remove every Room whose image does not exist, since it could not be displayed when placed
+   * @returns {Promise<Room[]>}           The Rooms which were removed
+   * @private
+   */
+  async _removeMissingImages() {
+    const exists = await Promise.all(this.rooms.map(r => srcExists(r.img)));
+    const missing = this.rooms.filter((r, i) => !exists[i]);
+    if ( !missing.length ) return missing;
+    for ( let room of missing ) {
+      console.warn(`The expected source image ${room.img} does not exist for Room ${room.name} of Tileset ${this.name}`);
+    }
+    this.rooms = this.rooms.filter((r, i) => exists[i]);
+    this._buildIndex();
+    return missing;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create a Tileset from manifest data which has already been loaded, for example from disk outside of Foundry VTT.
+   * @param {TilesetManifest} manifest    The tileset manifest
+   * @param {object} [options]            Additional options used to construct the Tileset, such as its data path
+   * @returns {Tileset}                   The loaded Tileset
+   */
+  static fromManifest(manifest, options={}) {
+    const tileset = new Tileset(manifest.name, options);
+    tileset._loadManifest(manifest);
+    return tileset;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Apply the configuration of a tileset manifest, loading the Rooms which it provides
+   * @param {TilesetManifest} manifest    The tileset manifest
+   * @private
+   */
+  _loadManifest(manifest) {
+
+    /**
+     * The manifest data which the Tileset was loaded from, including any rooms which could not be loaded
+     * @type {TilesetManifest}
+     */
+    this.manifest = manifest;
+    this.title = manifest.title ?? this.title;
+    this.author = manifest.author ?? this.author;
+    this.gridSize = manifest.gridSize ?? this.gridSize;
+    this.roomSize = manifest.roomSize ?? this.roomSize;
+    this.extension = manifest.extension ?? this.extension;
+    if ( manifest.connections ) this.connections = Tileset._prepareConnections(manifest.connections);
+    this.rooms = [];
+    for ( let roomData of manifest.rooms ?? [] ) {
       const room = new Room(roomData, this);
-      const exists = await srcExists(room.img);
-      if ( !exists ) {
-        console.error(`The expected source image ${room.img} does not exist for Room ${room.name}`);
+      if ( room.size !== this.roomSize ) {
+        console.error(`Room ${room.name} has size ${room.size} which does not match the size ${this.roomSize} of Tileset ${this.name}`);
         continue;
       }
       this.rooms.push(room);
     }
+    this.rooms.sort((a, b) => a.name.localeCompare(b.name)); // Stable ordering for seeded generation
+    this._buildIndex();
+    this._loaded = true;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Build the index of the unique permutations of every Room, keyed by the edge signature of each side.
+   * Symmetric rooms produce several identical permutations, of which only the first is retained.
+   * @private
+   */
+  _buildIndex() {
+
+    /**
+     * The unique permutations of every Room in the tileset
+     * @type {RoomData[]}
+     */
+    this.permutations = [];
+
+    /**
+     * The unique permutations of the tileset indexed by the edge signature of each side
+     * @type {Object<string, Map<string, RoomData[]>>}
+     */
+    this.index = Object.fromEntries(Room.DIRECTIONS.map(d => [d, new Map()]));
+    this._compatible = new Map();
+    this._compatiblePermutations = new Map();
+
+    const keys = new Set();
+    for ( let room of this.rooms ) {
+      for ( let p of room.getPermutations() ) {
+        const key = Room.getPermutationKey(p);
+        if ( keys.has(key) ) continue;
+        keys.add(key);
+        p.signatures = Object.fromEntries(Room.DIRECTIONS.map(d => [d, Room.getEdgeSignature(p.edges[d])]));
+        this.permutations.push(p);
+        for ( let d of Room.DIRECTIONS ) {
+          const s = p.signatures[d];
+          if ( !this.index[d].has(s) ) this.index[d].set(s, []);
+          this.index[d].get(s).push(p);
+        }
+      }
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Test whether two facing edge signatures are compatible.
+   * Closed edges must face closed edges, and open edges must face open edges of a type they can connect to.
+   * @param {string} a      The first signature
+   * @param {string} b      The facing signature
+   * @returns {boolean}
+   */
+  areSignaturesCompatible(a, b) {
+    const key = `${a}#${b}`;
+    if ( this._compatible.has(key) ) return this._compatible.get(key);
+    const ta = a.split("|");
+    const tb = b.split("|");
+    const compatible = (ta.length === tb.length) && ta.every((e, i) => {
+      if ( (e === "-") || (tb[i] === "-") ) return e === tb[i];
+      return this.canConnect(e, tb[i]);
+    });
+    this._compatible.set(key, compatible);
+    return compatible;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the unique permutations whose edges on one side are compatible with a fully known set of facing edges
+   * @param {string} direction          The side of the permutation
+   * @param {EdgeData[]} edges          The facing edges, none of which may be unknown
+   * @returns {RoomData[]}              The compatible permutations
+   */
+  getCompatiblePermutations(direction, edges) {
+    const signature = Room.getEdgeSignature(edges);
+    const key = `${direction}:${signature}`;
+    if ( this._compatiblePermutations.has(key) ) return this._compatiblePermutations.get(key);
+    const permutations = [];
+    for ( let [s, list] of this.index[direction].entries() ) {
+      if ( this.areSignaturesCompatible(s, signature) ) permutations.push(...list);
+    }
+    this._compatiblePermutations.set(key, permutations);
+    return permutations;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prepare a table of edge compatibility rules, ensuring that every connection can be made in both directions
+   * @param {Object<string, string[]>} connections    The declared edge compatibility rules
+   * @returns {Map<string, Set<string>>}              The symmetric compatibility table
+   * @private
+   */
+  static _prepareConnections(connections) {
+    const table = new Map();
+    const add = (a, b) => {
+      if ( !table.has(a) ) table.set(a, new Set());
+      table.get(a).add(b);
+    };
+    for ( let [type, others] of Object.entries(connections) ) {
+      for ( let other of others ) {
+        add(type, other);
+        add(other, type);
+      }
+    }
+    return table;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Can two typed edges connect to each other according to the rules of this Tileset?
+   * @param {string} a      The type of the first edge
+   * @param {string} b      The type of the second edge
+   * @returns {boolean}
+   */
+  canConnect(a, b) {
+    return !!this.connections.get(a)?.has(b);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Can a typed edge connect to any edge according to the rules of this Tileset?
+   * @param {string} type   The type of the edge
+   * @returns {boolean}
+   */
+  isConnectable(type) {
+    return !!this.connections.get(type)?.size;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Has the manifest of this Tileset been loaded?
+   * @type {boolean}
+   */
+  get loaded() {
+    return !!this._loaded;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Register a Tileset which may be provided by another module or stored in the user data folder of a World.
+   * Registered tilesets are loaded from their manifest when tilesets are next discovered, unless a manifest is provided.
+   * @param {string} name                       The unique name of the tileset
+   * @param {object} options                    Options used to construct the Tileset, including the path of its folder
+   * @param {TilesetManifest} [options.manifest]  Manifest data which is loaded immediately instead of being requested
+   * @returns {Tileset}                         The registered Tileset
+   *
+   * @example Register a tileset stored in the user data folder of a World
+   * Hooks.on("registerDungeonTilesets", api => {
+   *   api.register("crypt", {path: "worlds/my-world/tilesets/crypt"});
+   * });
+   */
+  static register(name, {manifest, ...options}={}) {
+    if ( !name ) throw new Error("A Tileset must be registered with a name");
+    if ( !options.path && !manifest ) throw new Error(`Tileset ${name} must be registered with a path or manifest`);
+    const tileset = new Tileset(name, options);
+    if ( manifest ) tileset._loadManifest(manifest);
+    Tileset.registry.set(name, tileset);
+    return tileset;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Discover every Tileset which is installed in the tilesets folder of this module, and load every registered Tileset.
+   * Each tileset is loaded from its manifest and recorded in the Tileset.registry.
+   * Tilesets which were explicitly registered take precedence over an installed tileset with the same name.
+   * @param {object} [options]
+   * @param {boolean} [options.force=false]   Discover tilesets again even if discovery has already occurred
+   * @returns {Promise<Tileset[]>}            The available tilesets
+   */
+  static async discover({force=false}={}) {
+    if ( !Tileset._discovered || force ) {
+      const contents = await FilePicker.browse("data", Tileset.MODULE_TILESETS_PATH);
+      for ( let dir of contents.dirs.sort() ) {
+        const name = dir.split("/").pop();
+        if ( !Tileset.registry.has(name) ) Tileset.registry.set(name, new Tileset(name, {path: dir}));
+      }
+      Tileset._discovered = true;
+    }
+
+    // Load any tileset which has not yet been loaded
+    for ( let [name, tileset] of Tileset.registry.entries() ) {
+      if ( tileset.loaded ) continue;
+      try {
+        await tileset.initialize();
+      } catch(err) {
+        console.error(`Failed to load the manifest for Tileset ${name} from ${tileset.path}: ${err.message}`);
+        Tileset.registry.delete(name);
+      }
+    }
+    return Array.from(Tileset.registry.values());
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Save the configuration of a Room to the config folder of this Tileset and add it to the tileset manifest,
+   * replacing any existing Room with the same name. The Tileset is reloaded from the updated manifest.
+   * @param {RoomData} roomData               The Room configuration to save
+   * @returns {Promise<Room>}                 The saved Room
+   */
+  async saveRoom(roomData) {
+    const upload = (path, filename, data) => {
+      const file = new File([JSON.stringify(data, null, 2)], filename, {type: "application/json"});
+      return FilePicker.upload("data", path, file, {});
+    };
+    await upload(`${this.path}/${Tileset.CONFIG_FOLDER}`, `${roomData.name}.json`, roomData);
+
+    // Update the manifest
+    const manifest = await fetch(getRoute(`${this.path}/${Tileset.MANIFEST_FILE}`)).then(r => r.json());
+    manifest.rooms = (manifest.rooms ?? []).filter(r => r.name !== roomData.name).concat([roomData]);
+    manifest.rooms.sort((a, b) => a.name.localeCompare(b.name));
+    await upload(this.path, Tileset.MANIFEST_FILE, manifest);
+    this._loadManifest(manifest);
+    return this.rooms.find(r => r.name === roomData.name);
   }
 
   /* -------------------------------------------- */
@@ -48,14 +390,20 @@ export default class Tileset {
    * @param {number} [maxOpen]        The maximum number of open edges
    * @param {boolean} [hasCenterOpen]  A minimum number of central openings the room must have
    * @param {boolean} [hasCornerOpen]  A minimum number of corner openings the room must have
+   * @param {Map<Room, number>} [counts]  The number of times each room has already been placed, excluding rooms which
+   *                                    have reached their maximum count
+   * @param {string|null} [stairs=null] Only rooms which contain this kind of stairs, or only rooms without stairs
+   * @param {string|null} [role=null]   Only rooms which play this role, or only rooms without a role
    * @returns {Room[]}
    */
-  findRooms({minOpen, maxOpen, hasCenterOpen, hasCornerOpen}) {
+  findRooms({minOpen, maxOpen, hasCenterOpen, hasCornerOpen, counts, stairs=null, role=null}) {
     const matched = [];
     for ( let r of this.rooms ) {
+      if ( (r.stairs !== stairs) || (r.role !== role) ) continue;
+      if ( counts && ((counts.get(r) ?? 0) >= r.maxCount) ) continue;
       const nOpen = r.nOpen;
-      if ( Number.isNumeric(minOpen) && (nOpen < minOpen) ) continue;
-      if ( Number.isNumeric(maxOpen) && (nOpen > maxOpen) ) continue;
+      if ( isNumeric(minOpen) && (nOpen < minOpen) ) continue;
+      if ( isNumeric(maxOpen) && (nOpen > maxOpen) ) continue;
       if ( (hasCenterOpen !== undefined) && (hasCenterOpen !== r.hasCenterOpen) ) continue;
       if ( (hasCornerOpen !== undefined) && (hasCornerOpen !== r.hasCornerOpen) ) continue;
       matched.push(r);
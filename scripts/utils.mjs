@@ -0,0 +1,73 @@
+/**
+ * Helper functions used by the generation core in place of the equivalent helpers which Foundry VTT provides globally.
+ * The generation core relies only on these so that it can run in plain Node.js as well as inside a live World.
+ */
+
+/**
+ * Create a deep copy of JSON-compatible data, equivalent to the Foundry duplicate() helper.
+ * @param {*} original      The data to copy
+ * @returns {*}             The copied data
+ */
+export function duplicate(original) {
+  return JSON.parse(JSON.stringify(original));
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Create an array of sequential integers, equivalent to the Foundry Array.fromRange() helper.
+ * @param {number} n        The length of the array
+ * @returns {number[]}      The integers from 0 to n-1
+ */
+export function range(n) {
+  return Array.from({length: n}, (_, i) => i);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Test whether a number lies within an inclusive range, equivalent to the Foundry Number#between() helper.
+ * @param {number} n        The number to test
+ * @param {number} min      The inclusive minimum
+ * @param {number} max      The inclusive maximum
+ * @returns {boolean}
+ */
+export function between(n, min, max) {
+  return (n >= min) && (n <= max);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Constrain a number within an inclusive range, equivalent to the Foundry Math.clamped() helper.
+ * @param {number} n        The number to constrain
+ * @param {number} min      The inclusive minimum
+ * @param {number} max      The inclusive maximum
+ * @returns {number}
+ */
+export function clamp(n, min, max) {
+  return Math.min(Math.max(n, min), max);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Test whether a value is a finite number, equivalent to the Foundry Number.isNumeric() helper.
+ * @param {*} n             The value to test
+ * @returns {boolean}
+ */
+export function isNumeric(n) {
+  if ( (n === null) || (n === "") || (typeof n === "boolean") ) return false;
+  return Number.isFinite(Number(n));
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Capitalize the first letter of each word of a string, equivalent to the Foundry String#titleCase() helper.
+ * @param {string} string   The string to transform
+ * @returns {string}
+ */
+export function titleCase(string) {
+  return string.split(" ").map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(" ");
+}
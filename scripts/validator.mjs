@@ -0,0 +1,401 @@
+import Room from "./room.mjs";
+import Tileset from "./tileset.mjs";
+import constants from "./constants.mjs";
+
+/**
+ * A problem which is found in the configuration of a room.
+ * @typedef {Object} ValidationIssue
+ * @property {string} room            The name of the room, or its index in the manifest if it has no name
+ * @property {string} level           The severity of the issue, either "error" or "warning"
+ * @property {string} check           The check which found the issue, one of TilesetValidator.CHECKS
+ * @property {string} message         A description of the issue
+ */
+
+/**
+ * The result of validating every room of a tileset.
+ * @typedef {Object} ValidationReport
+ * @property {string} tileset         The name of the validated tileset
+ * @property {number} rooms           The number of rooms which were validated
+ * @property {number} errors          The number of errors which were found
+ * @property {number} warnings        The number of warnings which were found
+ * @property {boolean} valid          Whether the tileset has no errors
+ * @property {ValidationIssue[]} issues   Every issue which was found
+ */
+
+/**
+ * Check the room configurations of a Tileset for problems which would prevent the rooms from being placed correctly.
+ * Rooms are validated as they are declared in the tileset manifest, including rooms which the Tileset has refused to
+ * load, so that tileset authors can find problems before a dungeon is generated.
+ * @param {Tileset} tileset           The Tileset to validate
+ * @param {object} [options]
+ * @param {Function} [options.loadImage]  A function which loads the image at a path as an ArrayBuffer, by default
+ *                                    requested from the server
+ * @param {Function} [options.loadConfigs]  A function which loads every room configuration file in the config folder of
+ *                                    the tileset, by default browsed and requested from the server
+ */
+export default class TilesetValidator {
+  constructor(tileset, {loadImage, loadConfigs}={}) {
+    this.tileset = tileset;
+    this.loadImage = loadImage ?? (path => fetch(getRoute(path)).then(r => {
+      if ( !r.ok ) throw new Error(`${r.status} ${r.statusText}`);
+      return r.arrayBuffer();
+    }));
+    this.loadConfigs = loadConfigs ?? (async () => {
+      const contents = await FilePicker.browse("data", `${tileset.path}/${Tileset.CONFIG_FOLDER}`);
+      const files = contents.files.filter(f => f.endsWith(".json"));
+      return Promise.all(files.map(f => fetch(getRoute(f)).then(r => r.json())));
+    });
+  }
+
+  /**
+   * The checks which are performed on each room, and their labels
+   * @type {Object<string, string>}
+   */
+  static CHECKS = {
+    schema: "Schema",
+    edges: "Edges",
+    walls: "Walls",
+    image: "Image",
+    anchors: "Anchors",
+    connections: "Connections",
+    manifest: "Manifest"
+  };
+
+  /* -------------------------------------------- */
+
+  /**
+   * Validate every room of the tileset, including its image
+   * @returns {Promise<ValidationReport>}
+   */
+  async validate() {
+    const rooms = this.tileset.manifest?.rooms ?? this.tileset.rooms.map(r => r.data);
+    const issues = [];
+    for ( let [i, data] of rooms.entries() ) {
+      const roomIssues = this.validateRoom(data, i);
+      if ( !roomIssues.some(issue => issue.check === "schema") ) {
+        roomIssues.push(...await this.validateImage(data));
+      }
+      issues.push(...roomIssues);
+    }
+    issues.push(...this.validateConnections(rooms));
+    issues.push(...await this.validateManifest(rooms));
+    const errors = issues.filter(i => i.level === "error").length;
+    return {
+      tileset: this.tileset.name,
+      rooms: rooms.length,
+      errors: errors,
+      warnings: issues.length - errors,
+      valid: !errors,
+      issues: issues
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Validate the configuration of a single room, without loading its image
+   * @param {RoomData} data           The room configuration
+   * @param {number} [index]          The index of the room in the manifest, used to identify a room without a name
+   * @returns {ValidationIssue[]}
+   */
+  validateRoom(data, index) {
+    const name = (typeof data?.name === "string") && data.name ? data.name : `Room ${(index ?? 0) + 1}`;
+    const issues = [];
+    const add = (level, check, message) => issues.push({room: name, level, check, message});
+
+    // Schema
+    for ( let message of this._validateSchema(data) ) add("error", "schema", message);
+    if ( issues.length ) return issues;
+
+    // Edges
+    const size = data.size ?? this.tileset.roomSize;
+    if ( size !== this.tileset.roomSize ) {
+      add("error", "schema", `The room has size ${size} which does not match the tileset size ${this.tileset.roomSize}.`);
+    }
+    let nOpen = 0;
+    for ( let d of Room.DIRECTIONS ) {
+      const edges = data.edges[d];
+      if ( edges.length !== size ) {
+        add("error", "edges", `The ${d} edges have length ${edges.length} which does not match the room size ${size}.`);
+      }
+      for ( let [i, e] of edges.entries() ) {
+        if ( !e ) continue;
+        nOpen++;
+        if ( !this.tileset.isConnectable(e.type) ) {
+          add("error", "edges", `Edge ${d}[${i}] has the type "${e.type}" which cannot connect to any edge type.`);
+        }
+      }
+    }
+    if ( !nOpen ) add("error", "edges", "The room must have at least one open edge.");
+
+    // Walls
+    const s = size * this.tileset.gridSize;
+    const ids = new Set();
+    for ( let w of data.walls ) {
+      if ( w.c.some(c => (c < 0) || (c > s)) ) {
+        add("error", "walls", `Wall ${w._id} has coordinates [${w.c.join(", ")}] beyond the bounds of the room.`);
+      }
+      if ( w._id === undefined ) continue;
+      if ( ids.has(w._id) ) add("error", "walls", `Wall ID ${w._id} is used by more than one wall.`);
+      ids.add(w._id);
+    }
+    if ( !data.walls.length ) add("warning", "walls", "The room has no walls.");
+
+    // Light and sound anchors
+    for ( let k of ["lights", "sounds"] ) {
+      for ( let [i, a] of (data[k] ?? []).entries() ) {
+        if ( [a.x, a.y].some(c => (c < 0) || (c > s)) ) {
+          add("error", "anchors", `The ${k} anchor ${i} at [${a.x}, ${a.y}] lies beyond the bounds of the room.`);
+        }
+      }
+    }
+    return issues;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Validate that the image of a room exists and measures the size of the room
+   * @param {RoomData} data           The room configuration
+   * @returns {Promise<ValidationIssue[]>}
+   */
+  async validateImage(data) {
+    const issue = (level, message) => [{room: data.name, level, check: "image", message}];
+    const path = `${this.tileset.path}/tiles/${data.name}.${this.tileset.extension}`;
+    let buffer;
+    try {
+      buffer = await this.loadImage(path);
+    } catch(err) {
+      return issue("error", `The room image ${path} could not be loaded: ${err.message}`);
+    }
+    const dimensions = TilesetValidator.getImageDimensions(buffer);
+    if ( !dimensions ) return issue("warning", `The dimensions of the room image ${path} could not be read.`);
+    const s = (data.size ?? this.tileset.roomSize) * this.tileset.gridSize;
+    if ( (dimensions.width !== s) || (dimensions.height !== s) ) {
+      return issue("error", `The room image measures ${dimensions.width}×${dimensions.height} pixels instead of ${s}×${s}.`);
+    }
+    return [];
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find open edge types of each room which cannot connect to an edge of any other room in the tileset.
+   * Rooms may be rotated and mirrored when they are placed, so any edge of another room is a potential neighbor.
+   * @param {RoomData[]} rooms        The room configurations of the tileset
+   * @returns {ValidationIssue[]}
+   */
+  validateConnections(rooms) {
+    rooms = rooms.filter(r => !this._validateSchema(r).length);
+    const typesOf = r => new Set(Object.values(r.edges).flat().filter(e => e).map(e => e.type));
+    const types = new Map(rooms.map(r => [r, typesOf(r)]));
+    const issues = [];
+    for ( let [room, own] of types ) {
+      for ( let type of own ) {
+        if ( !this.tileset.isConnectable(type) ) continue; // Already reported as an edge error
+        const connects = rooms.some(other => (other !== room) && (other.name !== room.name)
+          && Array.from(types.get(other)).some(t => this.tileset.canConnect(type, t)));
+        if ( !connects ) issues.push({
+          room: room.name,
+          level: "warning",
+          check: "connections",
+          message: `No other room has an edge which can connect to the "${type}" edges of this room.`
+        });
+      }
+    }
+    return issues;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Validate that the rooms of the tileset manifest match the room configuration files in the config folder of the
+   * tileset, from which the manifest is built. A tileset without a config folder is not checked.
+   * @param {RoomData[]} rooms        The room configurations of the tileset manifest
+   * @returns {Promise<ValidationIssue[]>}
+   */
+  async validateManifest(rooms) {
+    let configs;
+    try {
+      configs = await this.loadConfigs();
+    } catch(err) {
+      return [];
+    }
+    const issue = (room, level, message) => ({room, level, check: "manifest", message});
+    const folder = Tileset.CONFIG_FOLDER;
+    const issues = [];
+    for ( let config of configs ) {
+      const file = `${folder}/${config.name}.json`;
+      const room = rooms.find(r => r?.name === config.name);
+      if ( !room ) issues.push(issue(config.name, "error", `The room in ${file} is missing from the tileset manifest.`));
+      else if ( !TilesetValidator._isEqual(room, config) ) {
+        issues.push(issue(config.name, "error", `The room in the tileset manifest does not match ${file}.`));
+      }
+    }
+    for ( let room of rooms ) {
+      if ( !room?.name || configs.some(c => c.name === room.name) ) continue;
+      issues.push(issue(room.name, "warning", `The room has no configuration file in the ${folder} folder.`));
+    }
+    return issues;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Test whether two JSON values are equal, regardless of the order of their keys
+   * @param {*} a
+   * @param {*} b
+   * @returns {boolean}
+   * @private
+   */
+  static _isEqual(a, b) {
+    if ( (typeof a !== "object") || (typeof b !== "object") || (a === null) || (b === null) ) return a === b;
+    if ( Array.isArray(a) !== Array.isArray(b) ) return false;
+    const keys = Object.keys(a);
+    if ( keys.length !== Object.keys(b).length ) return false;
+    return keys.every(k => (k in b) && TilesetValidator._isEqual(a[k], b[k]));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Validate the structure of a room configuration
+   * @param {RoomData} data           The room configuration
+   * @returns {string[]}              A message for each problem with the structure of the room
+   * @private
+   */
+  _validateSchema(data) {
+    if ( (typeof data !== "object") || (data === null) ) return ["The room configuration must be an object."];
+    const messages = [];
+    const isNumber = n => (typeof n === "number") && Number.isFinite(n);
+    if ( (typeof data.name !== "string") || !data.name ) messages.push("The room must have a name.");
+    if ( (data.size !== undefined) && !(Number.isInteger(data.size) && (data.size > 0)) ) {
+      messages.push("The room size must be a positive integer.");
+    }
+    for ( let k of ["weight", "min", "max"] ) {
+      if ( (data[k] !== undefined) && !isNumber(data[k]) ) messages.push(`The room ${k} must be a number.`);
+    }
+    if ( (data.unique !== undefined) && (typeof data.unique !== "boolean") ) {
+      messages.push("The room unique property must be true or false.");
+    }
+    if ( (data.encounter !== undefined) && !(data.encounter in Room.ENCOUNTERS) ) {
+      messages.push(`The room encounter must be one of ${Object.keys(Room.ENCOUNTERS).join(", ")}.`);
+    }
+    if ( (data.stairs !== undefined) && !(data.stairs in Room.STAIRS) ) {
+      messages.push(`The room stairs must be one of ${Object.keys(Room.STAIRS).join(", ")}.`);
+    }
+    if ( (data.role !== undefined) && !(data.role in Room.ROLES) ) {
+      messages.push(`The room role must be one of ${Object.keys(Room.ROLES).join(", ")}.`);
+    }
+
+    // Walls
+    if ( !Array.isArray(data.walls) ) messages.push("The room walls must be an array.");
+    else for ( let [i, w] of data.walls.entries() ) {
+      if ( !Array.isArray(w?.c) || (w.c.length !== 4) || !w.c.every(isNumber) ) {
+        messages.push(`Wall ${w?._id ?? i} must have four numeric coordinates.`);
+      }
+    }
+
+    // Light and sound anchors
+    for ( let k of ["lights", "sounds"] ) {
+      if ( data[k] === undefined ) continue;
+      if ( !Array.isArray(data[k]) ) messages.push(`The room ${k} must be an array.`);
+      else for ( let [i, a] of data[k].entries() ) {
+        if ( !isNumber(a?.x) || !isNumber(a?.y) ) {
+          messages.push(`The ${k} anchor ${i} must have numeric x and y coordinates.`);
+        }
+        else if ( (k === "sounds") && ((typeof a.path !== "string") || !a.path) ) {
+          messages.push(`The sounds anchor ${i} must have an audio file path.`);
+        }
+      }
+    }
+
+    // Edges
+    if ( (typeof data.edges !== "object") || (data.edges === null) ) messages.push("The room edges must be an object.");
+    else for ( let d of Room.DIRECTIONS ) {
+      const edges = data.edges[d];
+      if ( !Array.isArray(edges) ) {
+        messages.push(`The room must have an array of ${d} edges.`);
+        continue;
+      }
+      for ( let [i, e] of edges.entries() ) {
+        if ( (e === false) || (e === null) ) continue;
+        if ( (typeof e !== "object") || (typeof e.type !== "string") ) {
+          messages.push(`Edge ${d}[${i}] must be false, null, or an object with a type.`);
+        }
+      }
+    }
+    return messages;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Read the dimensions of a WebP or PNG image from the header of its data
+   * @param {ArrayBuffer|Uint8Array} buffer   The image data
+   * @returns {{width: number, height: number}|null}  The dimensions, or null if the format is not recognized
+   */
+  static getImageDimensions(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+    if ( bytes.length < 30 ) return null;
+
+    // PNG
+    if ( ascii(1, 3) === "PNG" ) return {width: view.getUint32(16), height: view.getUint32(20)};
+    if ( (ascii(0, 4) !== "RIFF") || (ascii(8, 4) !== "WEBP") ) return null;
+
+    // WebP
+    const uint24 = i => bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16);
+    switch ( ascii(12, 4) ) {
+      case "VP8 ":
+        return {width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF};
+      case "VP8L":
+        return {
+          width: 1 + (((bytes[22] & 0x3F) << 8) | bytes[21]),
+          height: 1 + (((bytes[24] & 0x0F) << 10) | (bytes[23] << 2) | ((bytes[22] & 0xC0) >> 6))
+        };
+      case "VP8X":
+        return {width: 1 + uint24(24), height: 1 + uint24(27)};
+      default:
+        return null;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Display a validation report in a dialog, from which the report may also be downloaded as JSON
+   * @param {ValidationReport} report The report to display
+   * @returns {Promise<Dialog>}
+   */
+  static async showReport(report) {
+    const rooms = report.issues.reduce((obj, issue) => {
+      obj[issue.room] = obj[issue.room] ?? [];
+      obj[issue.room].push(mergeObject(issue, {
+        label: TilesetValidator.CHECKS[issue.check],
+        icon: issue.level === "error" ? "fa-times-circle" : "fa-exclamation-triangle"
+      }, {inplace: false}));
+      return obj;
+    }, {});
+    const content = await renderTemplate(`${constants.modulePath}/templates/validation-report.html`, {report, rooms});
+    const dialog = new Dialog({
+      title: `Tileset Validation: ${report.tileset}`,
+      content: content,
+      buttons: {
+        download: {
+          icon: '<i class="fas fa-file-download"></i>',
+          label: "Download JSON",
+          callback: () => saveDataToFile(JSON.stringify(report, null, 2), "application/json",
+            `${report.tileset}-validation.json`)
+        },
+        close: {
+          icon: '<i class="fas fa-check"></i>',
+          label: "Close"
+        }
+      },
+      default: "close"
+    }, {classes: ["dialog", "validation-report"], width: 480});
+    return dialog.render(true);
+  }
+}
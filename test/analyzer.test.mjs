@@ -0,0 +1,37 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {loadTileset} from "../scripts/cli.mjs";
+import RoomAnalyzer from "../scripts/analyzer.mjs";
+import Room from "../scripts/room.mjs";
+
+const tileset = loadTileset("dungeon");
+
+test("the edges of every shipped room match their walls", () => {
+  const results = RoomAnalyzer.checkTileset(tileset);
+  assert.deepEqual([...results.keys()], []);
+});
+
+test("the edges of every permutation match their walls", () => {
+  for ( let room of tileset.rooms ) {
+    for ( let p of room.getPermutations() ) {
+      const mismatches = new RoomAnalyzer(new Room(p, tileset)).getMismatches();
+      assert.deepEqual(mismatches, [], `${room.name} ${p.rotation} ${p.mirrorX} ${p.mirrorY}`);
+    }
+  }
+});
+
+test("an opening between boundary walls which enclose rock is open", () => {
+  const room = tileset.rooms.find(r => r.name === "CornerDiagonal1");
+  const edges = new RoomAnalyzer(room).inferEdges();
+  assert.deepEqual(edges.n.map(e => !!e), [true, true, true, false, false, false, false, false, false]);
+  assert.deepEqual(edges.w.map(e => !!e), [true, true, true, false, false, false, false, false, false]);
+});
+
+test("an edge which is closed by a wall is inferred to be closed", () => {
+  const room = tileset.rooms.find(r => r.name === "HallwayThrough1");
+  const data = room.transform("n");
+  const s = room.pixelSize;
+  data.walls.push({c: [0, 0, s, 0]}, {c: [s, 0, s, s]}, {c: [s, s, 0, s]}, {c: [0, s, 0, 0]});
+  const edges = new RoomAnalyzer(new Room(data, tileset)).inferEdges();
+  assert.ok(Object.values(edges).flat().every(e => e === false));
+});
@@ -0,0 +1,29 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {buildManifest, getTilesetFolder, readRoomConfigs} from "../scripts/cli.mjs";
+
+test("the manifest is rebuilt from the room configuration files", t => {
+  const source = getTilesetFolder("dungeon");
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), "dungeon-"));
+  t.after(() => fs.rmSync(folder, {recursive: true, force: true}));
+  fs.cpSync(path.join(source, "config"), path.join(folder, "config"), {recursive: true});
+  fs.copyFileSync(path.join(source, "tileset.json"), path.join(folder, "tileset.json"));
+
+  // Edit one room configuration and remove another
+  const file = path.join(folder, "config", "CenterEnd1.json");
+  const room = JSON.parse(fs.readFileSync(file, "utf8"));
+  room.weight = 5;
+  fs.writeFileSync(file, JSON.stringify(room, null, 2));
+  fs.rmSync(path.join(folder, "config", "CenterEnd2.json"));
+
+  const manifest = buildManifest(folder);
+  const written = JSON.parse(fs.readFileSync(path.join(folder, "tileset.json"), "utf8"));
+  assert.deepEqual(written, manifest);
+  assert.equal(written.title, JSON.parse(fs.readFileSync(path.join(source, "tileset.json"), "utf8")).title);
+  assert.deepEqual(written.rooms, readRoomConfigs(folder));
+  assert.equal(written.rooms.find(r => r.name === "CenterEnd1").weight, 5);
+  assert.ok(!written.rooms.some(r => r.name === "CenterEnd2"));
+});
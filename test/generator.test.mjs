@@ -0,0 +1,38 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {loadTileset} from "../scripts/cli.mjs";
+import Generator from "../scripts/generator.mjs";
+
+const tileset = loadTileset("dungeon");
+
+test("the same seed reproduces the same configuration", () => {
+  const options = {size: "small", seed: "determinism", entrances: 2, doors: true, lockedDoors: 0.5, secretDoors: 0.2};
+  const a = new Generator(tileset).generate(options);
+  const b = new Generator(tileset).generate(options);
+  assert.deepEqual(a, b);
+});
+
+test("different seeds produce different configurations", () => {
+  const a = new Generator(tileset).generate({size: "small", seed: "first"});
+  const b = new Generator(tileset).generate({size: "small", seed: "second"});
+  assert.notDeepEqual(a.tiles, b.tiles);
+});
+
+test("a generated seed reproduces its configuration", () => {
+  const generator = new Generator(tileset);
+  const a = generator.generate({size: "small"});
+  const b = new Generator(tileset).generate({size: "small", seed: generator.seed});
+  assert.deepEqual(a, b);
+});
+
+test("rerolling a cell replaces only that room", () => {
+  const generator = new Generator(tileset);
+  const before = generator.generate({size: "small", seed: "reroll"});
+  const [x, y] = generator.placements.find(([x, y]) => generator.layout[x][y]?.room);
+  const after = generator.rerollCell(x, y);
+  assert.ok(after);
+  const s = generator.roomSize * generator.gridSize;
+  const isCell = t => (t.x === x * s) && (t.y === y * s);
+  assert.deepEqual(after.tiles.filter(t => !isCell(t)), before.tiles.filter(t => !isCell(t)));
+  assert.notDeepEqual(after.tiles.find(isCell), before.tiles.find(isCell));
+});
@@ -0,0 +1,59 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import Tileset from "../scripts/tileset.mjs";
+import Generator from "../scripts/generator.mjs";
+import Room from "../scripts/room.mjs";
+
+/**
+ * Create a tileset of hallway rooms with a given room size and grid resolution.
+ * Each room is walled along every side which has no central opening.
+ */
+function createTileset(roomSize, gridSize) {
+  const c = Math.floor(roomSize / 3);
+  const s = roomSize * gridSize;
+  const sides = {n: [0, 0, s, 0], e: [s, 0, s, s], s: [s, s, 0, s], w: [0, s, 0, 0]};
+  const room = (name, open) => ({
+    name: name,
+    size: roomSize,
+    edges: Object.fromEntries(Room.DIRECTIONS.map(d => [d, Array.from({length: roomSize}, (_, i) => {
+      return open.includes(d) && (i >= c) && (i < roomSize - c) ? {type: "hallway"} : false;
+    })])),
+    walls: Room.DIRECTIONS.filter(d => !open.includes(d)).map(d => ({c: sides[d]}))
+  });
+  return Tileset.fromManifest({
+    name: `hallways-${roomSize}-${gridSize}`,
+    gridSize: gridSize,
+    roomSize: roomSize,
+    rooms: [room("End", ["n"]), room("Straight", ["n", "s"]), room("Turn", ["n", "e"]), room("Fork", ["n", "e", "w"]),
+      room("Cross", ["n", "e", "s", "w"])]
+  });
+}
+
+for ( let [roomSize, gridSize] of [[7, 100], [12, 140], [9, 200]] ) {
+  test(`a ${roomSize}×${roomSize} tileset at ${gridSize}px is placed at its own grid resolution`, () => {
+    const tileset = createTileset(roomSize, gridSize);
+    const generator = new Generator(tileset);
+    const configuration = generator.generate({size: "small", seed: `grid-${roomSize}-${gridSize}`});
+    const s = roomSize * gridSize;
+    assert.equal(configuration.grid, gridSize);
+    assert.equal(configuration.width, generator.columns * s);
+    assert.equal(configuration.height, generator.rows * s);
+    assert.ok(configuration.tiles.length);
+
+    // Every closed side of each placed room is walled along the side of its tile
+    const walls = new Set(configuration.walls.map(w => w.c.join(",")));
+    for ( let tile of configuration.tiles ) {
+      assert.equal(tile.width, s);
+      assert.equal(tile.height, s);
+      const data = generator.layout[tile.x / s][tile.y / s];
+      const {x, y} = tile;
+      const sides = {n: [x, y, x + s, y], e: [x + s, y, x + s, y + s], s: [x + s, y + s, x, y + s], w: [x, y + s, x, y]};
+      for ( let d of Room.DIRECTIONS ) {
+        if ( data.edges[d].some(e => e) ) continue;
+        const [x0, y0, x1, y1] = sides[d];
+        assert.ok(walls.has([x0, y0, x1, y1].join(",")) || walls.has([x1, y1, x0, y0].join(",")),
+          `The ${d} side of the tile at ${x}, ${y} is not walled`);
+      }
+    }
+  });
+}
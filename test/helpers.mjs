@@ -0,0 +1,13 @@
+import {loadTileset} from "../scripts/cli.mjs";
+import Tileset from "../scripts/tileset.mjs";
+
+/**
+ * Copy the shipped dungeon tileset, assigning properties to some of its rooms
+ * @param {Object<string, object>} rooms    The properties to assign to each room, keyed by the name of the room
+ * @returns {Tileset}                       The patched copy of the tileset
+ */
+export function patchTileset(rooms) {
+  const manifest = structuredClone(loadTileset("dungeon").manifest);
+  for ( let [name, data] of Object.entries(rooms) ) Object.assign(manifest.rooms.find(r => r.name === name), data);
+  return Tileset.fromManifest(manifest);
+}
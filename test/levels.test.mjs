@@ -0,0 +1,24 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {loadTileset} from "../scripts/cli.mjs";
+import LevelGenerator from "../scripts/levels.mjs";
+import {patchTileset} from "./helpers.mjs";
+
+const tileset = loadTileset("dungeon");
+
+test("a tileset without stairs generates a single level", () => {
+  assert.equal(LevelGenerator.getMaxLevels(tileset), 1);
+  assert.equal(new LevelGenerator(tileset).generate({levels: 1, seed: "single"}).length, 1);
+  assert.throws(() => new LevelGenerator(tileset).generate({levels: 2, seed: "stairs"}), /no rooms with stairs/);
+});
+
+test("the stairs of each level are linked to the adjacent levels", () => {
+  const stairs = patchTileset({CenterEnd1: {stairs: "up"}, CenterEnd2: {stairs: "down"}});
+  assert.equal(LevelGenerator.getMaxLevels(stairs), LevelGenerator.MAX_LEVELS);
+  const configurations = new LevelGenerator(stairs).generate({levels: 3, seed: "levels"});
+  const links = configurations.map(c => c.flags["dungeon-tilesets"].links);
+  assert.deepEqual(links.map(l => l.map(s => `${s.direction}:${s.level}`).sort()), [["down:2"], ["down:3", "up:1"], ["up:2"]]);
+  const up = links[1].find(s => s.direction === "up");
+  assert.deepEqual(links[0][0].destination, up.position);
+  assert.deepEqual(up.destination, links[0][0].position);
+});
@@ -0,0 +1,60 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {loadTileset} from "../scripts/cli.mjs";
+import Generator from "../scripts/generator.mjs";
+import EncounterPopulator from "../scripts/populator.mjs";
+
+const tileset = loadTileset("dungeon");
+
+/**
+ * Provide the Foundry VTT globals which population uses, with an Actor compendium of a single monster
+ * @param {number} cr                 The challenge rating of the monster
+ * @returns {{pack: object, imported: object[]}}  The compendium, and the Actors which have been imported from it
+ */
+function createWorld(cr) {
+  const imported = [];
+  const pack = {
+    entity: "Actor",
+    collection: "world.monsters",
+    index: [{_id: "ogre", name: "Ogre"}],
+    getIndex: async () => pack.index,
+    getEntity: async id => ({id, name: "Ogre", compendium: pack, data: {token: {width: 1, height: 1}, data: {details: {cr}}}})
+  };
+  globalThis.RollTable = class RollTable {};
+  globalThis.game = {
+    tables: new Map(),
+    packs: new Map([[pack.collection, pack]]),
+    actors: {
+      find: () => undefined,
+      importFromCollection: async (collection, id) => {
+        const actor = {id: `actor${imported.length + 1}`, name: "Ogre"};
+        imported.push(actor);
+        return actor;
+      }
+    }
+  };
+  return {pack, imported};
+}
+
+test("an actor which exceeds the budget of every room is not imported", async () => {
+  const {pack, imported} = createWorld(5);
+  const generator = new Generator(tileset);
+  const configuration = generator.generate({size: "small", seed: "populate"});
+  const populator = new EncounterPopulator(generator, {source: pack.collection, difficulty: 1});
+  const populated = await populator.populate(configuration);
+  assert.deepEqual(populated.tokens ?? [], []);
+  assert.deepEqual(imported, []);
+  assert.deepEqual(populated.flags["dungeon-tilesets"].importedActors, []);
+});
+
+test("an actor is imported once its first token has been placed", async () => {
+  const {pack, imported} = createWorld(0.5);
+  const generator = new Generator(tileset);
+  const configuration = generator.generate({size: "small", seed: "populate"});
+  const populator = new EncounterPopulator(generator, {source: pack.collection, difficulty: 1});
+  const populated = await populator.populate(configuration);
+  assert.ok(populated.tokens.length);
+  assert.equal(imported.length, 1);
+  assert.ok(populated.tokens.every(t => t.actorId === imported[0].id));
+  assert.deepEqual(populated.flags["dungeon-tilesets"].importedActors, [imported[0].id]);
+});
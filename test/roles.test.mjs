@@ -0,0 +1,84 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {loadTileset} from "../scripts/cli.mjs";
+import Generator from "../scripts/generator.mjs";
+import {patchTileset} from "./helpers.mjs";
+
+const tileset = loadTileset("dungeon");
+const roles = patchTileset({
+  CenterCrossroads2: {role: "entrance"},
+  CenterEnd4: {role: "boss"},
+  CenterEnd3: {role: "treasure"},
+  CenterT2: {role: "shrine"}
+});
+
+/**
+ * Measure the distance of every room of an exported room key from one room, following the exits of each room
+ * @param {KeyedRoomData[]} rooms     The exported room key
+ * @param {KeyedRoomData} from        The room to measure from
+ * @returns {Map<KeyedRoomData, number>}
+ */
+function getDistances(rooms, from) {
+  const offsets = {n: [0, -1], e: [1, 0], s: [0, 1], w: [-1, 0]};
+  const distances = new Map([[from, 0]]);
+  const queue = [from];
+  while ( queue.length ) {
+    const room = queue.shift();
+    for ( let exit of room.exits ) {
+      const [dx, dy] = offsets[exit];
+      const next = rooms.find(r => (r.x === room.x + dx) && (r.y === room.y + dy));
+      if ( distances.has(next) ) continue;
+      distances.set(next, distances.get(room) + 1);
+      queue.push(next);
+    }
+  }
+  return distances;
+}
+
+for ( let strategy of ["propagate", "backtrack"] ) {
+  test(`the entrance is placed at the start and the boss as far from it as possible with the ${strategy} strategy`, () => {
+    for ( let seed of ["roles1", "roles3", "roles4"] ) {
+      const configuration = new Generator(roles).generate({size: "medium", seed, strategy});
+      const flags = configuration.flags["dungeon-tilesets"];
+      const placed = Object.fromEntries(flags.roles.map(r => [r.role, r]));
+      assert.deepEqual(Object.keys(placed).sort(), ["boss", "entrance", "shrine", "treasure"]);
+      assert.equal(placed.entrance.distance, 0);
+
+      // The other dead ends, which the boss room could replace, are no further from the entrance than the boss
+      const entrance = flags.rooms.find(r => r.role === "entrance");
+      const distances = getDistances(flags.rooms, entrance);
+      const boss = distances.get(flags.rooms.find(r => r.role === "boss"));
+      for ( let room of flags.rooms.filter(r => ["CenterEnd1", "CenterEnd2"].includes(r.name)) ) {
+        assert.ok(distances.get(room) <= boss, `${room.name} at [${room.x}, ${room.y}] is further than the boss`);
+      }
+    }
+  });
+}
+
+test("roles are placed deterministically", () => {
+  const a = new Generator(roles).generate({size: "medium", seed: "roles"});
+  const b = new Generator(roles).generate({size: "medium", seed: "roles"});
+  assert.deepEqual(a, b);
+});
+
+test("roles respect the occurrence limits of rooms", () => {
+  const limited = patchTileset({
+    CenterCrossroads2: {role: "entrance"},
+    CenterEnd4: {role: "boss", max: 0},
+    CenterEnd1: {min: 2}
+  });
+  const configuration = new Generator(limited).generate({size: "medium", seed: "limits"});
+  const flags = configuration.flags["dungeon-tilesets"];
+  assert.deepEqual(flags.roles.map(r => r.role), ["entrance"]);
+  assert.ok(flags.rooms.filter(r => r.name === "CenterEnd1").length >= 2);
+});
+
+test("a role which fits no attempted layout is reported", () => {
+  const impossible = patchTileset({CenterEnd1: {role: "entrance"}});
+  assert.throws(() => new Generator(impossible).generate({size: "medium", seed: "r0"}), /entrance role/);
+});
+
+test("a tileset without roles places none", () => {
+  const configuration = new Generator(tileset).generate({size: "medium", seed: "roles"});
+  assert.deepEqual(configuration.flags["dungeon-tilesets"].roles, []);
+});
@@ -0,0 +1,84 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {loadTileset} from "../scripts/cli.mjs";
+import Room from "../scripts/room.mjs";
+
+const tileset = loadTileset("dungeon");
+
+/**
+ * Apply a transformation to room data, producing new room data
+ */
+function transform(data, ...args) {
+  return new Room(data, tileset).transform(...args);
+}
+
+/**
+ * Describe the walls of room data in an order which does not depend on the order or direction of each wall
+ */
+function sortWalls(data) {
+  return data.walls.map(w => {
+    const [x0, y0, x1, y1] = w.c;
+    return ((x0 < x1) || ((x0 === x1) && (y0 <= y1))) ? [x0, y0, x1, y1] : [x1, y1, x0, y0];
+  }).map(c => c.join(",")).sort();
+}
+
+test("four clockwise rotations restore every room", () => {
+  for ( let room of tileset.rooms ) {
+    let data = room.data;
+    for ( let i = 0; i < 4; i++ ) data = transform(data, "e");
+    assert.deepEqual(data.edges, room.data.edges, room.name);
+    assert.deepEqual(sortWalls(data), sortWalls(room.data), room.name);
+  }
+});
+
+test("mirroring twice restores every room", () => {
+  for ( let room of tileset.rooms ) {
+    const x = transform(transform(room.data, "n", true), "n", true);
+    assert.deepEqual(x.edges, room.data.edges, room.name);
+    assert.deepEqual(sortWalls(x), sortWalls(room.data), room.name);
+    const y = transform(transform(room.data, "n", false, true), "n", false, true);
+    assert.deepEqual(y.edges, room.data.edges, room.name);
+    assert.deepEqual(sortWalls(y), sortWalls(room.data), room.name);
+  }
+});
+
+test("rotating by half a turn is the same as mirroring both ways", () => {
+  for ( let room of tileset.rooms ) {
+    const rotated = room.transform("s");
+    const mirrored = room.transform("n", true, true);
+    assert.deepEqual(rotated.edges, mirrored.edges, room.name);
+    assert.deepEqual(sortWalls(rotated), sortWalls(mirrored), room.name);
+  }
+});
+
+test("transformed points follow the transformed walls", () => {
+  for ( let room of tileset.rooms ) {
+    for ( let p of room.getPermutations() ) {
+      const direction = Room.DIRECTIONS[p.rotation / 90];
+      const walls = room.data.walls.map(w => {
+        const a = room.transformPoint(w.c[0], w.c[1], direction, p.mirrorX, p.mirrorY);
+        const b = room.transformPoint(w.c[2], w.c[3], direction, p.mirrorX, p.mirrorY);
+        return {c: [a.x, a.y, b.x, b.y]};
+      });
+      assert.deepEqual(sortWalls({walls}), sortWalls(p), room.name);
+    }
+  }
+});
+
+test("transformed angles follow the transformed points", () => {
+  const room = tileset.rooms[0];
+  const c = room.pixelSize / 2;
+  for ( let direction of Room.DIRECTIONS ) {
+    for ( let [mirrorX, mirrorY] of [[false, false], [true, false], [false, true], [true, true]] ) {
+      for ( let angle of [0, 45, 90, 200] ) {
+
+        // A point one unit from the center in the direction of the angle, measured clockwise from south
+        const r = angle * Math.PI / 180;
+        const p = room.transformPoint(c - Math.sin(r), c + Math.cos(r), direction, mirrorX, mirrorY);
+        const t = room.transformAngle(angle, direction, mirrorX, mirrorY) * Math.PI / 180;
+        assert.ok(Math.abs((p.x - c) + Math.sin(t)) < 1e-9, `${direction} ${mirrorX} ${mirrorY} ${angle}`);
+        assert.ok(Math.abs((p.y - c) - Math.cos(t)) < 1e-9, `${direction} ${mirrorX} ${mirrorY} ${angle}`);
+      }
+    }
+  }
+});
@@ -0,0 +1,59 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {getTilesetFolder, loadTileset, validate} from "../scripts/cli.mjs";
+import TilesetValidator from "../scripts/validator.mjs";
+
+const tileset = loadTileset("dungeon");
+
+test("the shipped tileset is valid", async () => {
+  const report = await validate(tileset, getTilesetFolder("dungeon"));
+  assert.equal(report.rooms, tileset.rooms.length);
+  assert.deepEqual(report.issues, []);
+  assert.ok(report.valid);
+});
+
+test("a room with a broken configuration is reported", () => {
+  const validator = new TilesetValidator(tileset);
+  assert.equal(validator.validateRoom({name: "Broken"})[0].check, "schema");
+
+  const data = structuredClone(tileset.rooms[0].data);
+  data.edges.n = data.edges.n.slice(1);
+  data.walls.push({_id: data.walls[0]._id, c: [0, 0, -200, 0]});
+  const checks = validator.validateRoom(data).map(i => i.check);
+  assert.deepEqual(checks.sort(), ["edges", "walls", "walls"]);
+});
+
+test("a room which cannot be opened is reported", () => {
+  const validator = new TilesetValidator(tileset);
+  const data = structuredClone(tileset.rooms[0].data);
+  for ( let d of ["n", "e", "s", "w"] ) data.edges[d] = data.edges[d].map(() => false);
+  const issues = validator.validateRoom(data);
+  assert.deepEqual(issues.map(i => [i.level, i.check]), [["error", "edges"]]);
+});
+
+test("a missing or mis-sized room image is reported", async () => {
+  const data = tileset.rooms[0].data;
+  const missing = new TilesetValidator(tileset, {loadImage: async () => { throw new Error("Not Found"); }});
+  assert.equal((await missing.validateImage(data))[0].level, "error");
+  const png = new Uint8Array(32);
+  png.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0, 0, 100, 0, 0, 0, 100]);
+  const small = new TilesetValidator(tileset, {loadImage: async () => png.buffer});
+  const issues = await small.validateImage(data);
+  assert.match(issues[0].message, /100×100/);
+});
+
+test("a manifest which does not match the room configuration files is reported", async () => {
+  const configs = structuredClone(tileset.manifest.rooms);
+  configs[0].walls.pop();
+  configs.pop();
+  configs.push({...structuredClone(configs[1]), name: "Unlisted"});
+  const validator = new TilesetValidator(tileset, {loadConfigs: async () => configs});
+  const issues = await validator.validateManifest(tileset.manifest.rooms);
+  const rooms = tileset.manifest.rooms;
+  assert.deepEqual(issues.map(i => [i.room, i.level]), [
+    [rooms[0].name, "error"],
+    ["Unlisted", "error"],
+    [rooms[rooms.length - 1].name, "warning"]
+  ]);
+  assert.ok(issues.every(i => i.check === "manifest"));
+});